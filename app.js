@@ -2,13 +2,32 @@
  * APP LOGIC
  */
 const App = {
-    srs: new SRSEngine(),
+    srs: null, // Created in init once AppStorage has loaded
     currentSequence: [],
+    currentRound: null, // Seed + inputs of the round on screen (see generateSequence)
+    previousRound: null, // The one before it - only these two keep their SRS snapshot (replayRound)
+    pendingAccidental: null, // Accidental chosen on the note-name buttons, applied to the next letter
+    pianoRange: null, // Octaves currently drawn on the on-screen keyboard
+    chordHits: [], // Indexes of the active interval/chord tones already played
+    currentRhythm: null, // Measures/durations of the round on screen (null = unmetered quarter notes)
+    rhythmClock: null, // { start, beatMs, timer } while onsets are graded against the metronome grid
+    NOTE_SPACING: 45, // Minimum px per note/rest when breaking the score into lines
+    noteElements: [], // SVG group per card of the rendered score, recolored in place
+    scoreLayout: null, // { systemHeight, lineOfCard } of the rendered score
+    renderWidth: 0, // Width the score was laid out for
+    resizeTimeout: null,
+    roundMistakes: [], // Wrong attempts this round: { cardIndex, played, at } (played = null for a missed onset)
+    roundResults: [], // Every answer this round (see recordAttempt)
+    roundEvents: [], // Unlocks/regressions this round: { clef, type, from, to }
+    sessionResults: [], // Same, since the page was opened or "New Session"
+    sessionEvents: [],
+    sessionRounds: 0,
+    sessionStart: Date.now(),
+    summaryScope: 'round', // Which results the summary screen is showing
+    awaitingNextRound: false, // Summary opened at the end of a round - closing it starts the next one
     sequenceIndex: 0,
     isProcessing: false,
     lastNoteTime: 0, // Timestamp when current note was displayed/activated
-    lastDetectedNote: null, // For debouncing microphone input
-    lastDetectionTime: 0, // Timestamp of last detection
     metronomeEnabled: false,
     nextBeatTime: 0, // When the next beat should occur
     beatMeterAnimation: null, // Animation frame ID for beat meter
@@ -30,13 +49,23 @@ const App = {
         logs: [], // Array to store detection logs for each string
         sessionLog: [] // Separate log for this calibration session (concise)
     },
+    pendingImport: null, // Validated progress file waiting for merge/replace
+    defaultSettings: null, // Copy of `settings` below, taken before anything is loaded (used for new profiles)
     settings: {
         clefs: ['treble'],
         keys: ['C'],
         mode: 'buttons',
         batchSize: 8,
         metronomeEnabled: false,
-        tempo: 60
+        tempo: 60,
+        chromaticRate: 0, // Share of cards drawn from accidentals outside the key
+        grandStaff: false, // Treble + bass braced together, each note on either staff
+        showSummary: true, // Summary screen after every round (rounds with mistakes always show it)
+        drill: 'notes', // 'notes' | 'intervals' | 'chords' | 'mixed'
+        rhythm: false, // Mixed durations, rests and measures
+        timeSignature: '4/4',
+        followCursor: false, // Scroll the score to keep the active note's line in view
+        rules: { ...DEFAULT_PROGRESSION_RULES }
     },
 
     init: function() {
@@ -44,25 +73,12 @@ const App = {
         
         // Clean up any existing microphone streams on page load/reload
         // Only if they're actually active (don't force cleanup if nothing is running)
-        const isAdapterListening = typeof window !== 'undefined' && 
-            window.PitchDetectorAdapter && 
-            window.PitchDetectorAdapter.currentImplementation && 
-            window.PitchDetectorAdapter.currentImplementation.isListening;
-        
-        if (PitchDetector.isListening || isAdapterListening) {
+        if (PitchDetector.isListening) {
             Logger.info('Cleaning up existing microphone on init');
             this.stopMicrophone();
-        } else if (typeof window !== 'undefined' && window.PitchDetectorAdapter) {
-            // Just ensure adapter is in a clean state, but don't force cleanup if not needed
-            try {
-                // Only cleanup if there's an active implementation
-                if (window.PitchDetectorAdapter.currentImplementation) {
-                    Logger.info('Cleaning up adapter on init');
-                    window.PitchDetectorAdapter.cleanup();
-                }
-            } catch (e) {
-                Logger.warn('Error cleaning up adapter on init', { error: e.message });
-            }
+        } else if (AudioInput.isOpen()) {
+            Logger.info('Closing audio input on init');
+            AudioInput.close();
         }
         
         // Clean up on page unload/reload
@@ -77,7 +93,13 @@ const App = {
             }
         });
         
+        this.defaultSettings = JSON.parse(JSON.stringify(this.settings));
+        PitchDetector.setFrequencyRange(getProgressionFrequencyRange()); // Every note a card can ask for
+        this.srs = new SRSEngine();
+        this.setupKeySignatureOptions();
         this.loadSettings();
+        this.renderProfilePicker();
+        this.renderLastCalibration();
         this.setupPiano();
         this.setupEventListeners();
         this.updateUIForMode();
@@ -90,24 +112,209 @@ const App = {
         Logger.info('App initialization complete');
     },
 
+    /**
+     * PROFILES
+     * Each learner has their own SRS data, settings, calibration and history (see AppStorage)
+     */
+    renderProfilePicker: function() {
+        const select = document.getElementById('profile-select');
+        select.innerHTML = '';
+        AppStorage.getProfiles().list.forEach(p => select.add(new Option(p.name, p.id)));
+        select.add(new Option('+ New profile...', '__new'));
+        select.value = AppStorage.profileId;
+        document.getElementById('profile-name').value = AppStorage.getCurrentProfile().name;
+    },
+
+    createProfile: function() {
+        const name = (prompt('Name of the new profile:') || '').trim();
+        if (!name) {
+            this.renderProfilePicker(); // Put the picker back on the current profile
+            return;
+        }
+        this.switchProfile(AppStorage.createProfile(name).id);
+    },
+
+    // Reload everything that was read from storage - no page refresh needed
+    switchProfile: async function(id) {
+        if (id === AppStorage.profileId) return;
+        this.stopMicrophone();
+        this.stopMetronome();
+
+        await AppStorage.switchProfile(id);
+        this.reloadProfileState();
+        Logger.info('Switched learner profile', { profile: AppStorage.getCurrentProfile() });
+    },
+
+    // Rebuild everything that was read from AppStorage for the current profile
+    reloadProfileState: function() {
+        this.srs = new SRSEngine();
+        this.loadSettings();
+        const algorithmSelect = document.getElementById('pitch-algorithm-select');
+        if (algorithmSelect) algorithmSelect.value = AppStorage.get('pitchAlgorithm') || 'autocorrelation';
+        this.resetSession();
+        this.renderProfilePicker();
+        this.renderLastCalibration();
+
+        this.updateUIForMode();
+        this.nextRound();
+        this.updateStats();
+    },
+
+    saveProfileName: function() {
+        const name = document.getElementById('profile-name').value.trim();
+        if (name && name !== AppStorage.getCurrentProfile().name) {
+            AppStorage.renameProfile(AppStorage.profileId, name);
+            this.renderProfilePicker();
+        }
+    },
+
+    // Switches to another profile first - the active profile's data is never deleted under it
+    deleteCurrentProfile: async function() {
+        const profiles = AppStorage.getProfiles().list;
+        const current = AppStorage.getCurrentProfile();
+        if (profiles.length <= 1) {
+            alert('This is the only profile. Use "Reset Progress" to start over.');
+            return;
+        }
+        if (!confirm(`Delete profile "${current.name}" with all its progress and history?`)) return;
+
+        const next = profiles.find(p => p.id !== current.id);
+        await this.switchProfile(next.id);
+        await AppStorage.deleteProfile(current.id);
+        this.renderProfilePicker();
+        document.getElementById('settings-modal').classList.add('hidden');
+    },
+
+    /**
+     * PROGRESS EXPORT / IMPORT
+     * Versioned JSON backups of the current profile (see ProgressFile)
+     */
+    exportProgress: function() {
+        const profile = AppStorage.getCurrentProfile();
+        const file = ProgressFile.build({
+            profileName: profile.name,
+            srs: this.srs.data,
+            settings: this.settings,
+            pitchAlgorithm: AppStorage.get('pitchAlgorithm'),
+            calibration: AppStorage.get('calibration'),
+            history: AttemptHistory.load()
+        });
+
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const safeName = profile.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+        a.download = `sightread-progress-${safeName}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        Logger.info('Progress exported', {
+            profile: profile.id,
+            items: Object.keys(file.srs.items).length,
+            history: file.history.length
+        });
+    },
+
+    readProgressFile: function(fileHandle) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let file;
+            try {
+                file = JSON.parse(reader.result);
+            } catch (e) {
+                alert(`Could not read ${fileHandle.name}: not a JSON file.`);
+                return;
+            }
+            const errors = ProgressFile.validate(file);
+            if (errors.length > 0) {
+                Logger.warn('Rejected progress file', { name: fileHandle.name, errors });
+                alert(`Could not import ${fileHandle.name}:\n\n- ${errors.join('\n- ')}`);
+                return;
+            }
+            this.showImportSummary(file);
+        };
+        reader.onerror = () => alert(`Could not read ${fileHandle.name}.`);
+        reader.readAsText(fileHandle);
+    },
+
+    getCurrentProgress: function() {
+        return { srs: this.srs.data, settings: this.settings, history: AttemptHistory.load() };
+    },
+
+    showImportSummary: function(file) {
+        this.pendingImport = file;
+        const diff = ProgressFile.diff(this.getCurrentProgress(), file);
+        const exported = new Date(file.exportedAt).toLocaleString();
+
+        document.getElementById('import-source').textContent =
+            `"${file.profile ? file.profile.name : 'Unnamed'}", exported ${exported}, into profile "${AppStorage.getCurrentProfile().name}"`;
+
+        const lines = [
+            `${diff.items.added} new notes, ${diff.items.newer} practiced more recently in the file, ` +
+                `${diff.items.older} practiced more recently here, ${diff.items.same} unchanged`,
+            `${diff.onlyLocal} notes only on this device`,
+            ...diff.clefs.map(c => `${CLEF_LABELS[c.clef] || c.clef}: ${c.current} unlocked here, ${c.incoming} in the file`),
+            `${diff.history.new} new attempts in the history (${diff.history.incoming} in the file, ${diff.history.current} here)`,
+            diff.settingsChanged ? 'Settings differ (only Replace applies them)' : 'Settings are the same'
+        ];
+        const list = document.getElementById('import-diff');
+        list.innerHTML = '';
+        lines.forEach(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            list.appendChild(li);
+        });
+
+        document.getElementById('settings-modal').classList.add('hidden');
+        document.getElementById('import-modal').classList.remove('hidden');
+    },
+
+    closeImport: function() {
+        this.pendingImport = null;
+        document.getElementById('import-modal').classList.add('hidden');
+    },
+
+    applyImport: async function(strategy) {
+        const file = this.pendingImport;
+        if (!file) return;
+        if (strategy === 'replace' && !confirm(`Replace all progress of "${AppStorage.getCurrentProfile().name}" with the file?`)) {
+            return;
+        }
+
+        if (strategy === 'replace') {
+            AppStorage.set('srs', file.srs);
+            if (file.settings) AppStorage.set('settings', file.settings);
+            if (file.pitchAlgorithm) AppStorage.set('pitchAlgorithm', file.pitchAlgorithm);
+            if (file.calibration) AppStorage.set('calibration', file.calibration);
+            await AppStorage.replaceAttempts(file.history);
+        } else {
+            const merged = ProgressFile.merge(this.getCurrentProgress(), file);
+            AppStorage.set('srs', merged.srs);
+            await AppStorage.addAttempts(merged.newAttempts);
+        }
+
+        Logger.info('Progress imported', { strategy, items: Object.keys(file.srs.items).length, history: file.history.length });
+        this.closeImport();
+        this.reloadProfileState();
+    },
+
     logUnlockedNotesState: function() {
-        const allClefs = ['treble', 'bass'];
+        const allClefs = Object.keys(PROGRESSION);
         allClefs.forEach(clef => {
             const prog = PROGRESSION[clef] || PROGRESSION['treble'];
-            const unlocked = this.srs.data.unlockedCount;
+            const unlocked = this.srs.getClefState(clef).unlockedCount;
             const noteStates = [];
             
             for (let i = 0; i < unlocked; i++) {
                 const p = prog[i];
                 const id = this.srs.getKey(clef, p.n, p.o);
-                const item = this.srs.data.items[id];
                 noteStates.push({
                     note: `${p.n}${p.o}`,
                     id,
-                    streak: item ? (item.streak || 0) : 0,
-                    required: REQUIRED_STREAK_PER_NOTE,
-                    ready: item ? ((item.streak || 0) >= REQUIRED_STREAK_PER_NOTE) : false,
-                    exists: !!item
+                    ...this.srs.evaluateNote(this.srs.data.items[id])
                 });
             }
             
@@ -120,39 +327,110 @@ const App = {
         });
     },
 
-    loadSettings: function() {
-        const s = localStorage.getItem('sightread_settings_v2');
-        if (s) {
-            this.settings = JSON.parse(s);
-            document.getElementById('clef-treble').checked = this.settings.clefs.includes('treble');
-            document.getElementById('clef-bass').checked = this.settings.clefs.includes('bass');
-            document.querySelectorAll('.key-sig-opt').forEach(cb => {
-                cb.checked = this.settings.keys.includes(cb.value);
-            });
-            document.querySelector(`input[name="input_mode"][value="${this.settings.mode}"]`).checked = true;
-            document.getElementById('batch-size').value = this.settings.batchSize;
-            
-            // Metronome settings
-            if (this.settings.metronomeEnabled !== undefined) {
-                document.getElementById('metronome-enabled').checked = this.settings.metronomeEnabled;
-            }
-            if (this.settings.tempo) {
-                document.getElementById('tempo-slider').value = this.settings.tempo;
-                document.getElementById('tempo-display').textContent = this.settings.tempo;
+    setupKeySignatureOptions: function() {
+        const container = document.getElementById('key-sig-options');
+        container.innerHTML = '';
+        
+        const describe = (sig) => {
+            if (sig.length === 0) return 'no #/b';
+            return `${sig.length} ${sig[0].slice(1)}`;
+        };
+        const addOption = (key, label) => {
+            const opt = document.createElement('label');
+            opt.className = 'flex items-center gap-2 p-2 rounded hover:bg-slate-700 cursor-pointer text-sm';
+            const cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.className = 'key-sig-opt accent-indigo-500';
+            cb.value = key;
+            // C major is always available so a round can always be generated
+            if (key === 'C') {
+                cb.checked = true;
+                cb.disabled = true;
             }
-        } else {
-            document.getElementById('clef-treble').checked = true;
-            document.querySelector(`input[name="input_mode"][value="buttons"]`).checked = true;
-            this.settings.batchSize = 8;
-            this.settings.metronomeEnabled = false;
-            this.settings.tempo = 60;
+            const span = document.createElement('span');
+            span.textContent = label;
+            opt.appendChild(cb);
+            opt.appendChild(span);
+            container.appendChild(opt);
+        };
+        
+        Object.keys(RELATIVE_MINORS).forEach(major => {
+            const minor = RELATIVE_MINORS[major];
+            const sig = describe(KEY_SIGNATURES[major]);
+            addOption(major, `${major} Major (${sig})`);
+            addOption(minor, `${minor.slice(0, -1)} Minor (${sig})`);
+        });
+    },
+
+    loadSettings: function() {
+        // A profile without saved settings starts from the defaults
+        const s = AppStorage.get('settings');
+        this.settings = s ? { ...s } : JSON.parse(JSON.stringify(this.defaultSettings));
+        Object.keys(PROGRESSION).forEach(clef => {
+            document.getElementById(`clef-${clef}`).checked = this.settings.clefs.includes(clef);
+        });
+        document.querySelectorAll('.key-sig-opt').forEach(cb => {
+            cb.checked = cb.disabled || this.settings.keys.includes(cb.value);
+        });
+        document.querySelector(`input[name="input_mode"][value="${this.settings.mode}"]`).checked = true;
+        document.getElementById('batch-size').value = this.settings.batchSize;
+        document.getElementById('chromatic-rate').value = this.settings.chromaticRate || 0;
+        document.getElementById('grand-staff').checked = !!this.settings.grandStaff;
+        document.getElementById('drill-type').value = this.settings.drill || 'notes';
+        document.getElementById('rhythm-enabled').checked = !!this.settings.rhythm;
+        document.getElementById('time-signature').value = this.settings.timeSignature || '4/4';
+        document.getElementById('follow-cursor').checked = !!this.settings.followCursor;
+        document.getElementById('show-summary').checked = this.settings.showSummary !== false;
+        
+        // Metronome settings
+        if (this.settings.metronomeEnabled !== undefined) {
+            document.getElementById('metronome-enabled').checked = this.settings.metronomeEnabled;
+        }
+        if (this.settings.tempo) {
+            document.getElementById('tempo-slider').value = this.settings.tempo;
+            document.getElementById('tempo-display').textContent = this.settings.tempo;
         }
+        
+        // Older saved settings predate progression rules - fill in defaults
+        this.settings.rules = { ...DEFAULT_PROGRESSION_RULES, ...(this.settings.rules || {}) };
+        this.populateRulesForm(this.settings.rules);
+        this.srs.setRules(this.settings.rules);
+    },
+
+    populateRulesForm: function(rules) {
+        document.getElementById('rule-mastery').value = rules.mastery;
+        document.getElementById('rule-required-streak').value = rules.requiredStreak;
+        document.getElementById('rule-min-accuracy').value = Math.round(rules.minAccuracy * 100);
+        document.getElementById('rule-accuracy-window').value = rules.accuracyWindow;
+        document.getElementById('rule-max-median').value = rules.maxMedianMs / 1000;
+        document.getElementById('rule-min-unlocked').value = rules.minUnlocked;
+        document.getElementById('rule-regression-threshold').value = Math.round(rules.regressionThreshold * 100);
+        document.getElementById('rule-regression-display').textContent = Math.round(rules.regressionThreshold * 100);
+    },
+
+    readRulesForm: function() {
+        // Invalid/empty inputs fall back to the defaults rather than producing NaN rules
+        const num = (id, fallback, min, max) => {
+            const v = parseFloat(document.getElementById(id).value);
+            return isNaN(v) ? fallback : Math.min(max, Math.max(min, v));
+        };
+        const d = DEFAULT_PROGRESSION_RULES;
+        return {
+            mastery: document.getElementById('rule-mastery').value === 'accuracy' ? 'accuracy' : 'streak',
+            requiredStreak: Math.round(num('rule-required-streak', d.requiredStreak, 1, 100)),
+            minAccuracy: num('rule-min-accuracy', d.minAccuracy * 100, 50, 100) / 100,
+            accuracyWindow: Math.round(num('rule-accuracy-window', d.accuracyWindow, 5, 50)),
+            maxMedianMs: Math.round(num('rule-max-median', d.maxMedianMs / 1000, 0, 10) * 1000),
+            minUnlocked: Math.round(num('rule-min-unlocked', d.minUnlocked, 1, 10)),
+            regressionThreshold: num('rule-regression-threshold', d.regressionThreshold * 100, 10, 100) / 100
+        };
     },
 
     saveSettings: function() {
         const clefs = [];
-        if (document.getElementById('clef-treble').checked) clefs.push('treble');
-        if (document.getElementById('clef-bass').checked) clefs.push('bass');
+        Object.keys(PROGRESSION).forEach(clef => {
+            if (document.getElementById(`clef-${clef}`).checked) clefs.push(clef);
+        });
         if (clefs.length === 0) clefs.push('treble'); 
 
         const keys = [];
@@ -162,9 +440,21 @@ const App = {
         const batchSize = parseInt(document.getElementById('batch-size').value);
         const metronomeEnabled = document.getElementById('metronome-enabled').checked;
         const tempo = parseInt(document.getElementById('tempo-slider').value);
+        const chromaticRate = parseFloat(document.getElementById('chromatic-rate').value) || 0;
+        const grandStaff = document.getElementById('grand-staff').checked;
+        const drill = document.getElementById('drill-type').value;
+        const rhythm = document.getElementById('rhythm-enabled').checked;
+        const timeSignature = document.getElementById('time-signature').value;
+        const followCursor = document.getElementById('follow-cursor').checked;
+        const showSummary = document.getElementById('show-summary').checked;
+        const rules = this.readRulesForm();
 
-        this.settings = { clefs, keys, mode, batchSize, metronomeEnabled, tempo };
-        localStorage.setItem('sightread_settings_v2', JSON.stringify(this.settings));
+        this.settings = {
+            clefs, keys, mode, batchSize, metronomeEnabled, tempo,
+            chromaticRate, grandStaff, drill, rhythm, timeSignature, followCursor, showSummary, rules
+        };
+        AppStorage.set('settings', this.settings);
+        this.srs.setRules(rules);
         
         // Update metronome if running
         if (this.settings.mode === 'microphone' && metronomeEnabled && Metronome.isRunning) {
@@ -173,6 +463,7 @@ const App = {
         
         this.updateUIForMode();
         this.nextRound(); 
+        this.updateStats();
     },
 
     updateUIForMode: function() {
@@ -208,13 +499,8 @@ const App = {
     },
 
     startMicrophone: async function() {
-        // Check if already listening (either direct or via adapter)
-        const isAdapterListening = typeof window !== 'undefined' && 
-            window.PitchDetectorAdapter && 
-            window.PitchDetectorAdapter.currentImplementation && 
-            window.PitchDetectorAdapter.currentImplementation.isListening;
-        
-        if (PitchDetector.isListening || isAdapterListening) {
+        // Check if already listening (the adapter listens through PitchDetector too)
+        if (PitchDetector.isListening) {
             Logger.warn('Microphone already listening, skipping start');
             return;
         }
@@ -230,8 +516,8 @@ const App = {
                 if (!window.PitchDetectorAdapter.currentImplementation) {
                     await window.PitchDetectorAdapter.initialize();
                 }
-                // Get selected algorithm from localStorage
-                selectedAlgorithm = localStorage.getItem('pitchDetectionAlgorithm') || 'autocorrelation';
+                // Get the saved algorithm
+                selectedAlgorithm = (AppStorage.get('pitchAlgorithm') || 'autocorrelation');
                 
                 // Try to set the algorithm, fallback if it fails
                 const algorithmSet = window.PitchDetectorAdapter.setAlgorithm(selectedAlgorithm);
@@ -241,8 +527,8 @@ const App = {
                     });
                     selectedAlgorithm = 'autocorrelation';
                     window.PitchDetectorAdapter.setAlgorithm(selectedAlgorithm);
-                    // Update localStorage to reflect the fallback
-                    localStorage.setItem('pitchDetectionAlgorithm', 'autocorrelation');
+                    // Save the fallback so the selector matches
+                    AppStorage.set('pitchAlgorithm', 'autocorrelation');
                 }
                 
                 // Verify we have a valid implementation
@@ -308,24 +594,26 @@ const App = {
         });
         
         // Reset detection state
-        this.lastDetectedNote = null;
-        this.lastDetectionTime = 0;
         this.detectedNoteTimeout = null; // For clearing detected note display
         
         let detectionCount = 0;
         
-        detector.startListening((note, frequency) => {
+        // One event per attack (NoteTracker) - sustained and ringing notes don't repeat, re-picked ones do
+        detector.startListening((event) => {
             detectionCount++;
-            const now = Date.now();
+            const note = event.note;
+            // When the note was attacked (sample-accurate with the AudioWorklet analysis), not when the event arrived
+            const now = event.time;
             
             // Only process if we're not already processing
             if (this.isProcessing) {
                 return;
             }
             
-            const noteKey = `${note.note}${note.octave}`;
-            
-            // Don't log every detection - too spammy
+            if (event.confidence < MIN_NOTE_CONFIDENCE) {
+                Logger.debug('Low-confidence note ignored', { note: `${note.note}${note.octave}`, confidence: event.confidence });
+                return;
+            }
             
             // Update detected note display
             const detectedNoteEl = document.getElementById('mic-detected-note');
@@ -348,13 +636,15 @@ const App = {
                 }, 2000);
             }
             
-            // Debounce: ignore if same note detected within 300ms
-            if (this.lastDetectedNote === noteKey && (now - this.lastDetectionTime) < 300) {
-                return;
-            }
-            
+            // Rhythm rounds: the onset must fall inside the active note's window on the beat grid
+            if (this.rhythmClock) {
+                this.checkMissedOnsets(now); // Windows that closed before this onset are missed, whenever it arrived
+                const card = this.currentSequence[this.sequenceIndex];
+                if (!card || now < this.getOnsetWindow(card).open) {
+                    return; // Too early for the active note
+                }
             // If metronome is enabled, only accept notes when indicator is in green zone
-            if (this.settings.metronomeEnabled && Metronome.isRunning) {
+            } else if (this.settings.metronomeEnabled && Metronome.isRunning) {
                 const beatInterval = (60 / this.settings.tempo) * 1000; // At 60 BPM = 1000ms = 1 second
                 const fullCycleTime = beatInterval * 2; // 2 seconds for full cycle
                 
@@ -405,12 +695,11 @@ const App = {
             const noteName = note.note.replace('#', '');
             const accidental = note.note.includes('#') ? '#' : null;
             
-            // Update detection state
-            this.lastDetectedNote = noteKey;
-            this.lastDetectionTime = now;
-            
             // Handle input with detected note
-            this.handleInput(noteName, note.octave, accidental);
+            this.handleInput(noteName, note.octave, accidental, now);
+        }, (event) => {
+            // The same event, now with how long the note sounded
+            Logger.debug('Note ended', { note: `${event.note.note}${event.note.octave}`, duration: Math.round(event.duration) });
         });
         
         // Start metronome if enabled
@@ -437,24 +726,10 @@ const App = {
     stopMicrophone: function() {
         Logger.info('Stopping microphone');
         
-        // Check if adapter is being used and stop it
-        const usingAdapter = typeof window !== 'undefined' && 
-            window.PitchDetectorAdapter && 
-            window.PitchDetectorAdapter.currentImplementation;
-        
-        if (usingAdapter) {
-            const isListening = window.PitchDetectorAdapter.currentImplementation.isListening;
-            Logger.info('Stopping adapter microphone', { 
-                isListening,
-                implementation: window.PitchDetectorAdapter.currentImplementation.name 
-            });
-            if (isListening) {
-                window.PitchDetectorAdapter.stopListening();
-            }
+        // Stops listening and closes the audio input (microphone, file or test signal)
+        if (typeof window !== 'undefined' && window.PitchDetectorAdapter) {
             window.PitchDetectorAdapter.cleanup();
-        } else if (PitchDetector.isListening) {
-            Logger.info('Stopping direct PitchDetector microphone');
-            PitchDetector.stopListening();
+        } else {
             PitchDetector.cleanup();
         }
         
@@ -510,6 +785,10 @@ const App = {
         
         // Start beat meter animation
         this.startBeatMeter();
+
+        if (this.currentRhythm && this.settings.mode === 'microphone') {
+            this.startRhythmClock();
+        }
     },
 
     updateMetronomeVisual: function(currentBeat) {
@@ -533,6 +812,7 @@ const App = {
 
     stopMetronome: function() {
         Metronome.stop();
+        this.stopRhythmClock();
         // Reset visual indicator
         const beats = document.querySelectorAll('.metronome-beat');
         beats.forEach((beatEl) => {
@@ -634,11 +914,45 @@ const App = {
         }
     },
 
+    // Clefs practiced in the current settings (grand staff always drills treble + bass)
+    getActiveClefs: function() {
+        return this.settings.grandStaff ? [...GRAND_STAFF_CLEFS] : [...this.settings.clefs];
+    },
+
+    // Whole octaves covering every unlocked note of the active clefs (plus room for accidentals)
+    getPianoRange: function() {
+        let low = Infinity;
+        let high = -Infinity;
+        // Interval/chord tones stack above the root - up to a 12th above it plus an octave for inversions
+        const stack = (this.settings.drill && this.settings.drill !== 'notes') ? 19 : 0;
+        this.getActiveClefs().forEach(clef => {
+            const prog = PROGRESSION[clef] || PROGRESSION['treble'];
+            const unlocked = Math.min(this.srs.getClefState(clef).unlockedCount, prog.length);
+            for (let i = 0; i < unlocked; i++) {
+                const pos = getSemitone(prog[i].n, prog[i].o);
+                low = Math.min(low, pos - 2); // Double flats
+                high = Math.max(high, pos + stack + 2); // Double sharps
+            }
+        });
+        if (low === Infinity) return { startOctave: 3, endOctave: 5 };
+        return { startOctave: Math.floor(low / 12), endOctave: Math.floor(high / 12) };
+    },
+
+    // Rebuild the keyboard when the active range has changed (new unlocks, clef changes)
+    updatePianoRange: function() {
+        const range = this.getPianoRange();
+        if (this.pianoRange && this.pianoRange.startOctave === range.startOctave &&
+            this.pianoRange.endOctave === range.endOctave) {
+            return;
+        }
+        this.setupPiano();
+    },
+
     setupPiano: function() {
         const container = document.getElementById('piano-container');
         container.innerHTML = '';
-        const startOctave = 2;
-        const endOctave = 5;
+        this.pianoRange = this.getPianoRange();
+        const { startOctave, endOctave } = this.pianoRange;
         const noteNames = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
         
         for (let o = startOctave; o <= endOctave; o++) {
@@ -666,15 +980,52 @@ const App = {
     },
 
     setupEventListeners: function() {
+        window.addEventListener('resize', () => this.handleResize());
+
         const modal = document.getElementById('settings-modal');
         document.getElementById('btn-settings').onclick = () => modal.classList.remove('hidden');
         document.getElementById('btn-close-settings').onclick = () => {
+            this.saveProfileName();
             this.saveSettings();
             modal.classList.add('hidden');
         };
         
+        document.getElementById('btn-close-summary').onclick = () => this.closeSummary();
+        document.getElementById('btn-drill-weakest').onclick = () => this.drillWeakest();
+        document.getElementById('btn-session-summary').onclick = () => this.showSummary('session');
+        document.getElementById('btn-new-session').onclick = () => this.startNewSession();
+        document.getElementById('btn-session').onclick = () => this.showSummary('session');
+
+        document.getElementById('btn-dashboard').onclick = () => this.showDashboard();
+        document.getElementById('btn-close-dashboard').onclick = () => {
+            document.getElementById('dashboard-modal').classList.add('hidden');
+        };
+        document.getElementById('dash-clef').onchange = () => this.renderDashboard(true);
+        document.getElementById('dash-item').onchange = () => this.renderDashboard();
+        document.getElementById('dash-unit').onchange = () => this.renderDashboard();
+        
+        document.getElementById('profile-select').onchange = (e) => {
+            if (e.target.value === '__new') {
+                this.createProfile();
+            } else {
+                this.switchProfile(e.target.value);
+            }
+        };
+        document.getElementById('btn-delete-profile').onclick = () => this.deleteCurrentProfile();
+
+        document.getElementById('btn-export-progress').onclick = () => this.exportProgress();
+        const importInput = document.getElementById('import-progress-file');
+        document.getElementById('btn-import-progress').onclick = () => importInput.click();
+        importInput.onchange = () => {
+            if (importInput.files.length > 0) this.readProgressFile(importInput.files[0]);
+            importInput.value = ''; // Choosing the same file again still fires change
+        };
+        document.getElementById('btn-cancel-import').onclick = () => this.closeImport();
+        document.getElementById('btn-import-merge').onclick = () => this.applyImport('merge');
+        document.getElementById('btn-import-replace').onclick = () => this.applyImport('replace');
+
         document.getElementById('btn-reset-data').onclick = () => {
-            if(confirm("Reset all learning progress?")) {
+            if(confirm(`Reset all learning progress for "${AppStorage.getCurrentProfile().name}"?\n\nUse "Export Progress" first if you want a backup.`)) {
                 this.srs.resetData();
                 this.updateStats();
                 this.nextRound();
@@ -690,12 +1041,12 @@ const App = {
         const pitchAlgorithmSelect = document.getElementById('pitch-algorithm-select');
         if (pitchAlgorithmSelect) {
             // Load saved algorithm
-            const savedAlgorithm = localStorage.getItem('pitchDetectionAlgorithm') || 'autocorrelation';
+            const savedAlgorithm = (AppStorage.get('pitchAlgorithm') || 'autocorrelation');
             pitchAlgorithmSelect.value = savedAlgorithm;
             
             pitchAlgorithmSelect.onchange = (e) => {
                 const algorithm = e.target.value;
-                localStorage.setItem('pitchDetectionAlgorithm', algorithm);
+                AppStorage.set('pitchAlgorithm', algorithm);
                 if (PitchDetectorAdapter) {
                     PitchDetectorAdapter.setAlgorithm(algorithm);
                     Logger.info('Pitch detection algorithm changed', { algorithm });
@@ -751,8 +1102,8 @@ const App = {
                 return;
             }
             
-            // Get current selection (from main settings or localStorage)
-            const currentAlgorithm = localStorage.getItem('pitchDetectionAlgorithm') || 'autocorrelation';
+            // Get current selection (saved in AppStorage)
+            const currentAlgorithm = (AppStorage.get('pitchAlgorithm') || 'autocorrelation');
             
             // Default algorithms (always available) - match the HTML options
             let availableAlgorithms = [
@@ -860,11 +1211,16 @@ const App = {
             };
         }
         
+        const regressionSlider = document.getElementById('rule-regression-threshold');
+        regressionSlider.oninput = () => {
+            document.getElementById('rule-regression-display').textContent = regressionSlider.value;
+        };
+        
         document.getElementById('piano-container').oncontextmenu = (e) => e.preventDefault();
         
         // Log app initialization
         Logger.info('App initialized', {
-            unlockedCount: this.srs.data.unlockedCount,
+            clefs: this.srs.getClefSummary(),
             settings: this.settings
         });
     },
@@ -892,9 +1248,9 @@ const App = {
                 if (!window.PitchDetectorAdapter.currentImplementation) {
                     await window.PitchDetectorAdapter.initialize();
                 }
-                // Get selected algorithm from calibration dropdown (or fallback to localStorage/main settings)
+                // Get selected algorithm from calibration dropdown (or fallback to the saved main setting)
                 const calSelect = document.getElementById('cal-pitch-algorithm-select');
-                const selectedAlgorithm = calSelect ? calSelect.value : (localStorage.getItem('pitchDetectionAlgorithm') || 'autocorrelation');
+                const selectedAlgorithm = calSelect ? calSelect.value : ((AppStorage.get('pitchAlgorithm') || 'autocorrelation'));
                 window.PitchDetectorAdapter.setAlgorithm(selectedAlgorithm);
                 detector = window.PitchDetectorAdapter;
                 useAdapter = true;
@@ -906,7 +1262,7 @@ const App = {
             }
         }
         
-        const result = await detector.init();
+        const result = await detector.init({ analysis: false }); // Calibration reads frames
         if (!result || (typeof result === 'object' && !result.success)) {
             const errorInfo = typeof result === 'object' && result.error ? result.error : { userMessage: 'Failed to access microphone. Please check permissions.' };
             const message = errorInfo.userMessage || errorInfo.error || 'Failed to access microphone. Please check permissions.';
@@ -934,67 +1290,32 @@ const App = {
             calSelect.disabled = true;
         }
         
-        // Get audio context and analyser from the detector (adapter or direct)
-        const currentImpl = useAdapter ? detector.currentImplementation : detector;
-        const analyser = currentImpl.analyser;
-        const dataArray = currentImpl.dataArray;
-        const audioContext = currentImpl.audioContext;
-        const sampleRate = audioContext ? audioContext.sampleRate : 44100;
-        
         Logger.info('Calibration detector initialized', {
             useAdapter,
-            hasAnalyser: !!analyser,
-            hasDataArray: !!dataArray,
-            dataArrayLength: dataArray?.length || 0,
-            sampleRate,
+            source: AudioInput.sourceType,
+            sampleRate: AudioInput.getSampleRate(),
             algorithm: useAdapter ? (detector.config?.algorithm || 'unknown') : 'autocorrelation'
         });
         
-        if (!analyser || !dataArray) {
-            Logger.error('Calibration failed: missing analyser or dataArray', {
-                hasAnalyser: !!analyser,
-                hasDataArray: !!dataArray
-            });
-            alert('Failed to initialize calibration: missing audio analyser. Please try again.');
-            this.isCalibrating = false;
-            // Re-enable algorithm selector
-            const calSelect = document.getElementById('cal-pitch-algorithm-select');
-            if (calSelect) {
-                calSelect.disabled = false;
-            }
-            return;
-        }
-        
-        // Create separate detector for calibration (doesn't interfere with main app)
+        // Separate frame listener for calibration (doesn't interfere with main app)
         const calibrationDetector = {
-            analyser: analyser,
-            dataArray: dataArray,
-            audioContext: audioContext,
             isRunning: true,
-            animationFrame: null,
+            unsubscribe: null,
             useAdapter: useAdapter,
-            detector: detector,
-            currentImpl: currentImpl
+            detector: detector
         };
         
         let lastLogTime = Date.now();
         
-        const detectPitch = () => {
+        const detectPitch = (frame, sampleRate) => {
             if (!this.isCalibrating) return;
             
-            if (!calibrationDetector.analyser || !calibrationDetector.dataArray) {
-                Logger.error('Calibration: analyser or dataArray missing during detection');
-                return;
-            }
-            
-            calibrationDetector.analyser.getFloatTimeDomainData(calibrationDetector.dataArray);
-            
             // Calculate signal strength (RMS)
             let sum = 0;
-            for (let i = 0; i < calibrationDetector.dataArray.length; i++) {
-                sum += calibrationDetector.dataArray[i] * calibrationDetector.dataArray[i];
+            for (let i = 0; i < frame.length; i++) {
+                sum += frame[i] * frame[i];
             }
-            const rms = Math.sqrt(sum / calibrationDetector.dataArray.length);
+            const rms = Math.sqrt(sum / frame.length);
             const signalStrength = Math.min(100, (rms * 1000)); // Scale to 0-100
             
             // Log signal strength occasionally for debugging
@@ -1003,8 +1324,7 @@ const App = {
                 Logger.debug('Calibration signal check', {
                     rms: rms.toFixed(6),
                     signalStrength: signalStrength.toFixed(2),
-                    dataArrayLength: calibrationDetector.dataArray.length,
-                    hasAnalyser: !!calibrationDetector.analyser
+                    frameLength: frame.length
                 });
                 lastLogTime = now;
             }
@@ -1013,34 +1333,8 @@ const App = {
             document.getElementById('cal-signal-bar').style.width = signalStrength + '%';
             
             // Detect pitch using the selected algorithm
-            let pitch = -1;
             const algorithm = useAdapter ? (detector.config?.algorithm || 'unknown') : 'autocorrelation';
-            
-            if (useAdapter && calibrationDetector.currentImpl) {
-                // Check if it's autocorrelation or pitchy (needs sampleRate) vs pitchfinder (just buffer)
-                const needsSampleRate = algorithm === 'autocorrelation' || algorithm === 'pitchy';
-                
-                if (needsSampleRate && calibrationDetector.currentImpl.detector) {
-                    // Autocorrelation and Pitchy need both buffer and sampleRate
-                    try {
-                        pitch = calibrationDetector.currentImpl.detector(calibrationDetector.dataArray, sampleRate);
-                    } catch (e) {
-                        Logger.warn('Error calling detector with sampleRate', { error: e.message, algorithm });
-                    }
-                } else if (calibrationDetector.currentImpl.detector) {
-                    // Pitchfinder algorithms just need the buffer
-                    try {
-                        pitch = calibrationDetector.currentImpl.detector(calibrationDetector.dataArray);
-                    } catch (e) {
-                        Logger.warn('Error calling adapter detector', { error: e.message, algorithm });
-                    }
-                } else {
-                    Logger.warn('No detector function available', { algorithm, hasDetector: false });
-                }
-            } else if (PitchDetector.autocorrelate) {
-                // Fallback to autocorrelation
-                pitch = PitchDetector.autocorrelate(calibrationDetector.dataArray, sampleRate);
-            }
+            const pitch = useAdapter ? detector.detectFrame(frame) : PitchDetector.autocorrelate(frame, sampleRate);
             
             // Log pitch detection attempts occasionally for debugging
             if (now - lastLogTime > 2000) {
@@ -1050,8 +1344,7 @@ const App = {
                     note: note ? `${note.note}${note.octave}` : 'none',
                     signalStrength: signalStrength.toFixed(2),
                     algorithm,
-                    useAdapter,
-                    hasDetector: useAdapter ? !!calibrationDetector.currentImpl?.detector : false
+                    useAdapter
                 });
                 lastLogTime = now;
             }
@@ -1120,10 +1413,9 @@ const App = {
                 }
             }
             
-            calibrationDetector.animationFrame = requestAnimationFrame(detectPitch);
         };
         
-        detectPitch();
+        calibrationDetector.unsubscribe = AudioInput.onFrame(detectPitch);
         this.calibrationDetector = calibrationDetector;
         
         Logger.info('Calibration mode started');
@@ -1132,8 +1424,8 @@ const App = {
     stopCalibration: function() {
         this.isCalibrating = false;
         
-        if (this.calibrationDetector && this.calibrationDetector.animationFrame) {
-            cancelAnimationFrame(this.calibrationDetector.animationFrame);
+        if (this.calibrationDetector && this.calibrationDetector.unsubscribe) {
+            this.calibrationDetector.unsubscribe();
         }
         
         // Clean up detector
@@ -1181,9 +1473,9 @@ const App = {
                 if (!window.PitchDetectorAdapter.currentImplementation) {
                     await window.PitchDetectorAdapter.initialize();
                 }
-                // Get selected algorithm from calibration dropdown (or fallback to localStorage/main settings)
+                // Get selected algorithm from calibration dropdown (or fallback to the saved main setting)
                 const calSelect = document.getElementById('cal-pitch-algorithm-select');
-                const selectedAlgorithm = calSelect ? calSelect.value : (localStorage.getItem('pitchDetectionAlgorithm') || 'autocorrelation');
+                const selectedAlgorithm = calSelect ? calSelect.value : ((AppStorage.get('pitchAlgorithm') || 'autocorrelation'));
                 window.PitchDetectorAdapter.setAlgorithm(selectedAlgorithm);
                 detector = window.PitchDetectorAdapter;
                 useAdapter = true;
@@ -1195,7 +1487,7 @@ const App = {
             }
         }
         
-        const result = await detector.init();
+        const result = await detector.init({ analysis: false }); // Calibration reads frames
         if (!result || (typeof result === 'object' && !result.success)) {
             const errorInfo = typeof result === 'object' && result.error ? result.error : { userMessage: 'Failed to access microphone. Please check permissions.' };
             const message = errorInfo.userMessage || errorInfo.error || 'Failed to access microphone. Please check permissions.';
@@ -1203,47 +1495,6 @@ const App = {
             return;
         }
         
-        // Get audio context and analyser from the detector (adapter or direct)
-        // IMPORTANT: Access these AFTER init() has completed successfully
-        const currentImpl = useAdapter ? detector.currentImplementation : detector;
-        
-        Logger.info('Guided calibration: checking detector state after init', {
-            useAdapter,
-            hasCurrentImpl: !!currentImpl,
-            currentImplType: currentImpl ? typeof currentImpl : 'null',
-            hasAnalyser: currentImpl ? !!currentImpl.analyser : false,
-            hasDataArray: currentImpl ? !!currentImpl.dataArray : false,
-            hasAudioContext: currentImpl ? !!currentImpl.audioContext : false,
-            algorithm: useAdapter ? (detector.config?.algorithm || 'unknown') : 'autocorrelation'
-        });
-        
-        if (!currentImpl) {
-            Logger.error('Guided calibration failed: currentImplementation is null');
-            alert('Failed to initialize guided calibration: no detector implementation available. Please try again.');
-            return;
-        }
-        
-        const analyser = currentImpl.analyser;
-        const dataArray = currentImpl.dataArray;
-        const audioContext = currentImpl.audioContext;
-        const sampleRate = audioContext ? audioContext.sampleRate : 44100;
-        
-        if (!analyser || !dataArray) {
-            Logger.error('Guided calibration failed: missing analyser or dataArray', {
-                hasAnalyser: !!analyser,
-                hasDataArray: !!dataArray,
-                hasAudioContext: !!audioContext,
-                currentImplKeys: currentImpl ? Object.keys(currentImpl) : []
-            });
-            alert('Failed to initialize guided calibration: missing audio analyser. The microphone may not be properly initialized. Please try again.');
-            // Re-enable algorithm selector
-            const calSelect = document.getElementById('cal-pitch-algorithm-select');
-            if (calSelect) {
-                calSelect.disabled = false;
-            }
-            return;
-        }
-        
         this.guidedCalibration.active = true;
         this.guidedCalibration.currentStringIndex = 0;
         this.guidedCalibration.logs = [];
@@ -1264,26 +1515,20 @@ const App = {
         
         Logger.info('Guided calibration detector initialized successfully', {
             useAdapter,
-            hasAnalyser: !!analyser,
-            hasDataArray: !!dataArray,
-            dataArrayLength: dataArray?.length || 0,
-            sampleRate,
+            source: AudioInput.sourceType,
+            sampleRate: AudioInput.getSampleRate(),
             algorithm: useAdapter ? (detector.config?.algorithm || 'unknown') : 'autocorrelation'
         });
         
         // Create detector for guided calibration
         const calibrationDetector = {
             isRunning: true,
-            animationFrame: null,
+            unsubscribe: null,
             lastDetection: null,
             detectionCount: 0,
             detections: [],
-            analyser: analyser,
-            dataArray: dataArray,
-            audioContext: audioContext,
             useAdapter: useAdapter,
-            detector: detector,
-            currentImpl: currentImpl
+            detector: detector
         };
         
         // Initialize detector state
@@ -1292,25 +1537,18 @@ const App = {
         
         let lastLogTime = Date.now();
         
-        const detectPitch = () => {
-            if (!this.guidedCalibration.active || !calibrationDetector.analyser) return;
-            
-            if (!calibrationDetector.analyser || !calibrationDetector.dataArray) {
-                Logger.error('Guided calibration: analyser or dataArray missing during detection');
-                return;
-            }
+        const detectPitch = (frame, sampleRate) => {
+            if (!this.guidedCalibration.active) return;
             
             // Get current string from index (in case it changed)
             const currentString = this.guidedCalibration.strings[this.guidedCalibration.currentStringIndex];
             
-            calibrationDetector.analyser.getFloatTimeDomainData(calibrationDetector.dataArray);
-            
             // Calculate signal strength
             let sum = 0;
-            for (let i = 0; i < calibrationDetector.dataArray.length; i++) {
-                sum += calibrationDetector.dataArray[i] * calibrationDetector.dataArray[i];
+            for (let i = 0; i < frame.length; i++) {
+                sum += frame[i] * frame[i];
             }
-            const rms = Math.sqrt(sum / calibrationDetector.dataArray.length);
+            const rms = Math.sqrt(sum / frame.length);
             const signalStrength = Math.min(100, (rms * 1000));
             
             // Log signal strength occasionally for debugging
@@ -1319,8 +1557,7 @@ const App = {
                 Logger.debug('Guided calibration signal check', {
                     rms: rms.toFixed(6),
                     signalStrength: signalStrength.toFixed(2),
-                    dataArrayLength: calibrationDetector.dataArray.length,
-                    hasAnalyser: !!calibrationDetector.analyser
+                    frameLength: frame.length
                 });
                 lastLogTime = now;
             }
@@ -1329,34 +1566,8 @@ const App = {
             document.getElementById('cal-guided-signal-bar').style.width = signalStrength + '%';
             
             // Detect pitch using the selected algorithm
-            let pitch = -1;
             const algorithm = useAdapter ? (detector.config?.algorithm || 'unknown') : 'autocorrelation';
-            
-            if (useAdapter && calibrationDetector.currentImpl) {
-                // Check if it's autocorrelation or pitchy (needs sampleRate) vs pitchfinder (just buffer)
-                const needsSampleRate = algorithm === 'autocorrelation' || algorithm === 'pitchy';
-                
-                if (needsSampleRate && calibrationDetector.currentImpl.detector) {
-                    // Autocorrelation and Pitchy need both buffer and sampleRate
-                    try {
-                        pitch = calibrationDetector.currentImpl.detector(calibrationDetector.dataArray, sampleRate);
-                    } catch (e) {
-                        Logger.warn('Error calling detector with sampleRate in guided calibration', { error: e.message, algorithm });
-                    }
-                } else if (calibrationDetector.currentImpl.detector) {
-                    // Pitchfinder algorithms just need the buffer
-                    try {
-                        pitch = calibrationDetector.currentImpl.detector(calibrationDetector.dataArray);
-                    } catch (e) {
-                        Logger.warn('Error calling adapter detector in guided calibration', { error: e.message, algorithm });
-                    }
-                } else {
-                    Logger.warn('No detector function available in guided calibration', { algorithm, hasDetector: false });
-                }
-            } else if (PitchDetector.autocorrelate) {
-                // Fallback to autocorrelation
-                pitch = PitchDetector.autocorrelate(calibrationDetector.dataArray, sampleRate);
-            }
+            const pitch = useAdapter ? detector.detectFrame(frame) : PitchDetector.autocorrelate(frame, sampleRate);
             
             // Log pitch detection attempts occasionally for debugging
             if (now - lastLogTime > 2000) {
@@ -1366,8 +1577,7 @@ const App = {
                     note: note ? `${note.note}${note.octave}` : 'none',
                     signalStrength: signalStrength.toFixed(2),
                     algorithm,
-                    useAdapter,
-                    hasDetector: useAdapter ? !!calibrationDetector.currentImpl?.detector : false
+                    useAdapter
                 });
                 lastLogTime = now;
             }
@@ -1446,10 +1656,9 @@ const App = {
                 }
             }
             
-            calibrationDetector.animationFrame = requestAnimationFrame(detectPitch);
         };
         
-        detectPitch();
+        calibrationDetector.unsubscribe = AudioInput.onFrame(detectPitch);
         this.calibrationDetector = calibrationDetector;
         
         const initialString = this.guidedCalibration.strings[this.guidedCalibration.currentStringIndex];
@@ -1529,10 +1738,24 @@ const App = {
     completeGuidedCalibration: function() {
         this.guidedCalibration.active = false;
         
-        if (this.calibrationDetector && this.calibrationDetector.animationFrame) {
-            cancelAnimationFrame(this.calibrationDetector.animationFrame);
+        if (this.calibrationDetector && this.calibrationDetector.unsubscribe) {
+            this.calibrationDetector.unsubscribe();
         }
         
+        // Keep the per-string result with the learner's profile (raw detections stay in the exported logs)
+        AppStorage.set('calibration', {
+            timestamp: Date.now(),
+            algorithm: AppStorage.get('pitchAlgorithm') || 'autocorrelation',
+            strings: this.guidedCalibration.logs.map(log => ({
+                string: log.string,
+                expected: log.expected,
+                accuracy: log.accuracy,
+                totalDetections: log.totalDetections
+            }))
+        });
+
+        this.renderLastCalibration();
+
         document.getElementById('cal-current-string').innerHTML = '<span class="text-green-400">✓ All strings calibrated!</span>';
         document.getElementById('btn-start-guided-cal').textContent = 'Restart Calibration';
         document.getElementById('btn-next-string').classList.add('hidden');
@@ -1544,11 +1767,29 @@ const App = {
         }
     },
 
+    // The current profile's saved per-string result, shown in the calibration modal
+    renderLastCalibration: function() {
+        const calibration = AppStorage.get('calibration');
+        const container = document.getElementById('cal-last-result');
+        if (!calibration || !calibration.strings) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        document.getElementById('cal-last-summary').textContent =
+            `${new Date(calibration.timestamp).toLocaleString()} (${calibration.algorithm})`;
+        document.getElementById('cal-last-strings').innerHTML = calibration.strings.map(s => {
+            const color = s.accuracy >= 80 ? 'text-green-400' : s.accuracy >= 50 ? 'text-yellow-400' : 'text-red-400';
+            return `<div title="${s.string}"><div class="text-slate-400">${s.expected}</div><div class="font-mono ${color}">${Math.round(s.accuracy)}%</div></div>`;
+        }).join('');
+        container.classList.remove('hidden');
+    },
+
     stopGuidedCalibration: function() {
         this.guidedCalibration.active = false;
         
-        if (this.calibrationDetector && this.calibrationDetector.animationFrame) {
-            cancelAnimationFrame(this.calibrationDetector.animationFrame);
+        if (this.calibrationDetector && this.calibrationDetector.unsubscribe) {
+            this.calibrationDetector.unsubscribe();
         }
         
         document.getElementById('btn-start-guided-cal').textContent = 'Start Guided Calibration';
@@ -1827,6 +2068,7 @@ const App = {
         const exportData = {
             timestamp: new Date().toISOString(),
             appLogs: Logger.getLogs(),
+            rounds: [this.previousRound, this.currentRound].filter(Boolean), // With snapshots - App.replayRound(round)
             calibrationData: this.guidedCalibration.logs.length > 0 ? {
                 strings: this.guidedCalibration.strings,
                 logs: this.guidedCalibration.logs
@@ -1837,7 +2079,7 @@ const App = {
                 keys: this.settings.keys,
                 metronomeEnabled: this.settings.metronomeEnabled,
                 tempo: this.settings.tempo,
-                pitchDetectionAlgorithm: localStorage.getItem('pitchDetectionAlgorithm') || 'autocorrelation'
+                pitchDetectionAlgorithm: (AppStorage.get('pitchAlgorithm') || 'autocorrelation')
             },
             systemInfo: {
                 userAgent: navigator.userAgent,
@@ -1991,35 +2233,63 @@ const App = {
         }
     },
 
-    nextRound: function() {
+    // focus = { clef, keySig, ids } drills only those items (see drillWeakest)
+    nextRound: function(replayOf = null, focus = null) {
         this.isProcessing = false;
         this.sequenceIndex = 0;
         this.currentSequence = [];
-        this.lastDetectedNote = null; // Reset detection state
+        this.chordHits = [];
+        this.roundMistakes = [];
+        this.roundResults = [];
+        this.roundEvents = [];
+        this.stopRhythmClock();
 
         Logger.debug('Starting new round', {
-            unlockedCount: this.srs.data.unlockedCount,
-            batchSize: this.settings.batchSize
+            clefs: this.srs.getClefSummary(),
+            batchSize: this.settings.batchSize,
+            replay: !!replayOf
         });
 
-        // Check for regression first (reduce unlocked if struggling)
-        this.settings.clefs.forEach(c => this.srs.checkRegression(c));
+        if (!replayOf) {
+            // Check for regression first (reduce unlocked if struggling)
+            this.runClefChecks('regression');
+        }
         
         // Only check progression if we just completed a round successfully
         // (progression is now checked after successful rounds, not every round)
 
-        const clef = this.settings.clefs[Math.floor(Math.random() * this.settings.clefs.length)];
-        const key = this.settings.keys[Math.floor(Math.random() * this.settings.keys.length)];
-
-        for(let i=0; i<this.settings.batchSize; i++) {
-            this.currentSequence.push(this.srs.generateCard(clef, key));
-        }
+        // A round is fully described by its seed, clock and the SRS state it was generated from
+        const round = replayOf || {
+            seed: SeededRandom.newSeed(),
+            now: Date.now(),
+            clefs: focus ? [focus.clef] : this.getActiveClefs(),
+            grandStaff: !focus && !!this.settings.grandStaff,
+            keys: focus ? [focus.keySig] : [...this.settings.keys],
+            focus: focus ? focus.ids : null,
+            batchSize: this.settings.batchSize,
+            chromaticRate: this.settings.chromaticRate || 0,
+            drill: this.settings.drill || 'notes',
+            rhythm: !!this.settings.rhythm,
+            timeSignature: this.settings.timeSignature || '4/4',
+            snapshot: this.srs.getGenerationSnapshot()
+        };
+        this.previousRound = this.currentRound;
+        this.currentRound = round;
+        this.currentSequence = this.generateSequence(round);
+        this.currentRhythm = round.rhythm ? this.generateRhythm(round, this.currentSequence) : null;
+        this.updatePianoRange();
 
-        Logger.debug('Generated sequence', {
-            clef,
+        const { clef, keySig: key } = this.currentSequence[0];
+        const { snapshot, ...inputs } = round; // The snapshot grows with every item - it stays in memory only
+        Logger.info('Round generated', {
+            seed: round.seed,
+            clef: round.grandStaff ? 'grand' : clef,
             key,
             batchSize: this.currentSequence.length,
-            sequence: this.currentSequence.map(c => `${c.note}${c.octave}`)
+            sequence: this.currentSequence.map(c => getCardTones(c).map(t => `${t.note}${t.accidental || ''}${t.octave}`).join('+')),
+            rhythm: this.currentRhythm ? this.currentRhythm.events.map(e => e.duration + (e.dots ? 'd' : '') + (e.rest ? 'r' : '')) : null,
+            replayed: !!replayOf,
+            round: inputs // App.replayRound(round or seed) regenerates the current or previous round exactly
         });
 
         this.renderSequence();
@@ -2029,27 +2299,181 @@ const App = {
         // Reset next beat time for metronome
         if (this.settings.mode === 'microphone' && this.settings.metronomeEnabled && Metronome.isRunning) {
             this.nextBeatTime = Date.now() + (60 / this.settings.tempo) * 1000;
+            if (this.currentRhythm) this.startRhythmClock();
+        }
+    },
+
+    // Measures for a rhythm round. Uses its own stream from the seed so the cards match a round without rhythm
+    generateRhythm: function(round, sequence) {
+        const rng = SeededRandom.create((round.seed ^ 0x5bd1e995) >>> 0);
+        const rhythm = RhythmGenerator.generate(rng, sequence.length, round.timeSignature);
+        let cardIndex = 0;
+        rhythm.events.forEach(event => {
+            event.cardIndex = event.rest ? null : cardIndex++;
+            if (!event.rest) sequence[event.cardIndex].start = event.start; // Beat offset from the round's first downbeat
+        });
+        return rhythm;
+    },
+
+    // Grade onsets against the metronome: the round starts on the next downbeat and
+    // every note must begin within ONSET_TOLERANCE_BEATS of its beat
+    startRhythmClock: function() {
+        this.stopRhythmClock();
+        Metronome.setBeatsPerMeasure(this.currentRhythm.beatsPerMeasure);
+        const beatMs = (60 / this.settings.tempo) * 1000;
+        this.rhythmClock = {
+            start: Metronome.getNextBeatTime(Date.now() + beatMs, true), // At least one beat of count-in
+            beatMs,
+            timer: setInterval(() => this.checkMissedOnsets(), 50)
+        };
+        Logger.info('Rhythm clock started', { start: this.rhythmClock.start, beatMs });
+    },
+
+    stopRhythmClock: function() {
+        if (this.rhythmClock) {
+            clearInterval(this.rhythmClock.timer);
+            this.rhythmClock = null;
+        }
+    },
+
+    // Onset window [open, close] of a card, in Date.now() time
+    getOnsetWindow: function(card) {
+        const { start, beatMs } = this.rhythmClock;
+        const expected = start + card.start * beatMs;
+        const tolerance = ONSET_TOLERANCE_BEATS * beatMs;
+        return { expected, open: expected - tolerance, close: expected + tolerance };
+    },
+
+    // A note whose window closed without being played is missed - the music moves on without it
+    // until = time of an input being graded; without it (the timer), microphone rounds wait
+    // NOTE_EVENT_DELAY_MS past a window's close for onsets still on their way, and hold while the
+    // tracker has an attack from before the close whose pitch isn't confirmed yet
+    checkMissedOnsets: function(until = null) {
+        if (!this.rhythmClock || this.isProcessing) return;
+        const microphone = this.settings.mode === 'microphone';
+        const now = until === null ? Date.now() - (microphone ? NOTE_EVENT_DELAY_MS : 0) : until;
+        const pendingAttack = microphone ? PitchDetector.pendingAttackTime() : null;
+        let missed = false;
+        while (this.sequenceIndex < this.currentSequence.length &&
+               now > this.getOnsetWindow(this.currentSequence[this.sequenceIndex]).close) {
+            const card = this.currentSequence[this.sequenceIndex];
+            const close = this.getOnsetWindow(card).close;
+            if (pendingAttack !== null && pendingAttack <= close) break; // Could still be this note
+            this.recordAttempt(card, false, this.rhythmClock.beatMs);
+            this.roundMistakes.push({ cardIndex: this.sequenceIndex, played: null, at: close });
+            Logger.info('Onset missed', { note: `${card.note}${card.accidental || ''}${card.octave}`, start: card.start });
+            this.chordHits = [];
+            this.sequenceIndex++;
+            missed = true;
+        }
+        if (!missed) return;
+
+        this.flashFeedback('wrong');
+        this.updateStats();
+        if (this.sequenceIndex >= this.currentSequence.length) {
+            this.stopRhythmClock();
+            this.provideFeedback(true, 'wrong');
+        } else {
+            this.lastNoteTime = now;
+            this.updateNoteStates();
+            this.updateHintText();
         }
     },
     
+    // Deterministic: the same round object always yields the same cards
+    generateSequence: function(round) {
+        const rng = SeededRandom.create(round.seed);
+        const srs = new SRSEngine(round.snapshot); // In-memory copy, generation must not touch live state
+        // Grand staff rounds pick a clef per note, otherwise one clef for the whole round
+        const clef = round.grandStaff ? null : SeededRandom.pick(rng, round.clefs);
+        const key = SeededRandom.pick(rng, round.keys);
+        const options = { chromaticRate: round.chromaticRate || 0, drill: round.drill || 'notes', focus: round.focus || null };
+        
+        const sequence = [];
+        for (let i = 0; i < round.batchSize; i++) {
+            const cardClef = clef || SeededRandom.pick(rng, round.clefs);
+            sequence.push(srs.generateCard(cardClef, key, rng, round.now, options));
+        }
+        return sequence;
+    },
+
+    // Replay a logged round: the `round` field of a "Round generated" log entry or its seed for the
+    // current or previous round, or a full round (with snapshot) from exportAllLogs
+    replayRound: function(roundOrSeed) {
+        const seed = roundOrSeed && typeof roundOrSeed === 'object' ? roundOrSeed.seed : roundOrSeed;
+        const kept = [this.currentRound, this.previousRound].find(r => r && r.seed === seed);
+        const round = roundOrSeed && roundOrSeed.snapshot ? roundOrSeed : kept;
+        if (!round) {
+            Logger.error('Cannot replay round: only the current and previous rounds keep their SRS snapshot', { seed });
+            return false;
+        }
+        Logger.info('Replaying round', { seed: round.seed });
+        this.nextRound(round);
+        return true;
+    },
+
     updateHintText: function() {
         const hintEl = document.getElementById('hint-text');
         if (!hintEl) return;
         
+        const formatTarget = (ms) => `${(ms / 1000).toFixed(1)}s`;
+        
         if (this.currentSequence.length === 0 || this.sequenceIndex >= this.currentSequence.length) {
-            hintEl.textContent = 'Speed goal: < 2.5s';
+            hintEl.textContent = `Speed goal: < ${formatTarget(this.srs.getSpeedTarget(null, this.settings.mode))}`;
             return;
         }
         
         const targetCard = this.currentSequence[this.sequenceIndex];
         if (!targetCard) {
-            hintEl.textContent = 'Speed goal: < 2.5s';
+            hintEl.textContent = `Speed goal: < ${formatTarget(this.srs.getSpeedTarget(null, this.settings.mode))}`;
             return;
         }
         
         const noteName = targetCard.note + (targetCard.accidental || '');
-        const noteDisplay = `${noteName}${targetCard.octave}`;
-        hintEl.innerHTML = `Play: <span class="text-indigo-400 font-bold text-base">${noteDisplay}</span> (${targetCard.clef} clef)`;
+        const noteDisplay = targetCard.label || `${noteName}${targetCard.octave}`;
+        const target = this.srs.getSpeedTarget(targetCard.id, this.settings.mode);
+        // The detector hears one pitch at a time, so interval and chord tones are played separately
+        const toneCount = getCardTones(targetCard).length;
+        const tonesHint = toneCount > 1
+            ? ` · one tone at a time, any order (${this.chordHits.length}/${toneCount})`
+            : '';
+        hintEl.innerHTML = `Play: <span class="text-indigo-400 font-bold text-base">${noteDisplay}</span> (${targetCard.clef} clef)${tonesHint} · goal &lt; ${formatTarget(target)}`;
+    },
+
+    // Events to draw: the round's rhythm, or one quarter note per card.
+    // Unmetered rounds are chunked into one bar-less "measure" per line of `notesPerLine` notes
+    getRenderEvents: function(notesPerLine) {
+        if (this.currentRhythm) return this.currentRhythm.events;
+        return this.currentSequence.map((card, index) => ({
+            measure: Math.floor(index / notesPerLine), start: index, beats: 1,
+            duration: 'q', dots: 0, rest: false, beamGroup: null, cardIndex: index
+        }));
+    },
+
+    // Break measures into systems (lines) that fit `available` px.
+    // Returns [{ measures: [m...], widths: [px...] }] - measures are stretched to fill the line
+    layoutSystems: function(measureEvents, available, headerWidth) {
+        const minWidth = events => 30 + events.length * this.NOTE_SPACING;
+        const systems = [];
+        let current = [];
+        let used = headerWidth;
+        measureEvents.forEach((events, m) => {
+            const w = minWidth(events);
+            if (current.length > 0 && used + w > available) {
+                systems.push(current);
+                current = [];
+                used = headerWidth;
+            }
+            current.push(m);
+            used += w;
+        });
+        if (current.length > 0) systems.push(current);
+
+        return systems.map(measures => {
+            const natural = measures.map(m => minWidth(measureEvents[m]));
+            const scale = (available - headerWidth) / natural.reduce((a, b) => a + b, 0);
+            return { measures, widths: natural.map((w, k) => w * scale + (k === 0 ? headerWidth : 0)) };
+        });
     },
 
     renderSequence: function() {
@@ -2058,60 +2482,314 @@ const App = {
 
         const VF = Vex.Flow;
         const renderer = new VF.Renderer(div, VF.Renderer.Backends.SVG);
-        const width = Math.min(800, window.innerWidth - 30); 
-        renderer.resize(width, 200);
+        const width = this.getScoreWidth();
+        this.renderWidth = width;
+        const grandStaff = !!(this.currentRound && this.currentRound.grandStaff);
         const context = renderer.getContext();
 
-        const clef = this.currentSequence[0].clef;
         const keySig = this.currentSequence[0].keySig;
+        const rhythm = this.currentRhythm;
+        // Grand staff: one stave per clef, each note drawn on its own clef's stave and a spacer on the other
+        const staffClefs = grandStaff ? GRAND_STAFF_CLEFS : [this.currentSequence[0].clef];
+
+        // Every line starts with clef + key signature (the first line also has the time signature)
+        const left = grandStaff ? 30 : 10;
+        const available = width - left - 10;
+        const headerWidth = 60 + (KEY_SIGNATURES[keySig] || []).length * 10;
+        const notesPerLine = Math.max(1, Math.floor((available - headerWidth - 30) / this.NOTE_SPACING));
+        const events = this.getRenderEvents(notesPerLine);
 
-        const stave = new VF.Stave(10, 40, width - 20);
-        stave.addClef(clef).addKeySignature(keySig);
-        stave.setContext(context).draw();
+        const measureEvents = [];
+        events.forEach((event, e) => (measureEvents[event.measure] = measureEvents[event.measure] || []).push(e));
+        const systems = this.layoutSystems(measureEvents.map(list => list.map(e => events[e])), available, headerWidth);
 
-        const notes = this.currentSequence.map((card, index) => {
-            let keyString = `${card.note.toLowerCase()}`;
-            if (card.accidental) keyString += card.accidental;
-            keyString += `/${card.octave}`;
+        const staffHeight = 120;
+        const systemHeight = staffClefs.length * staffHeight + 20;
+        renderer.resize(width, systems.length * systemHeight + 40);
 
-            const vfNote = new VF.StaveNote({
-                clef: card.clef,
-                keys: [keyString],
-                duration: "q",
-                auto_stem: true
+        // staves[s][m] = stave of staff s, measure m
+        const staves = staffClefs.map(() => []);
+        systems.forEach((system, line) => {
+            let x = left;
+            system.measures.forEach((m, k) => {
+                staffClefs.forEach((clef, s) => {
+                    const stave = new VF.Stave(x, 40 + line * systemHeight + s * staffHeight, system.widths[k]);
+                    if (k === 0) {
+                        stave.addClef(clef).addKeySignature(keySig);
+                        if (rhythm && line === 0) stave.addTimeSignature(rhythm.timeSignature);
+                    }
+                    stave.setContext(context).draw();
+                    staves[s][m] = stave;
+                });
+                x += system.widths[k];
             });
 
-            // Add Accidental if needed
-            const sigNotes = KEY_SIGNATURES[keySig];
-            const noteNameFull = card.note + (card.accidental || '');
-            let needsVisualAccidental = false;
-            if (card.accidental) {
-                const isInSig = sigNotes.some(s => s === noteNameFull);
-                if (!isInSig) needsVisualAccidental = true;
-            } 
-            if (needsVisualAccidental) {
-               vfNote.addAccidental(0, new VF.Accidental(card.accidental));
-            }
-
-            // Coloring Logic
-            if (index < this.sequenceIndex) {
-                vfNote.setStyle({fillStyle: "#22c55e", strokeStyle: "#22c55e"}); // Green
-            } else if (index === this.sequenceIndex) {
-                vfNote.setStyle({fillStyle: "#4f46e5", strokeStyle: "#4f46e5"}); // Blue (Active)
-            } else {
-                vfNote.setStyle({fillStyle: "black", strokeStyle: "black"});
+            if (grandStaff) {
+                const first = system.measures[0];
+                const top = staves[0];
+                const bottom = staves[staves.length - 1];
+                new VF.StaveConnector(top[first], bottom[first]).setType(VF.StaveConnector.type.BRACE).setContext(context).draw();
+                new VF.StaveConnector(top[first], bottom[first]).setType(VF.StaveConnector.type.SINGLE_LEFT).setContext(context).draw();
+                system.measures.forEach(m => {
+                    new VF.StaveConnector(top[m], bottom[m]).setType(VF.StaveConnector.type.SINGLE_RIGHT).setContext(context).draw();
+                });
+            }
+        });
+
+        // One tickable per event on every staff: the note on its own staff, rests on all staves, spacers elsewhere
+        const staffNotes = staffClefs.map(clef => events.map(event => {
+            const duration = event.duration + (event.dots ? 'd' : '');
+            const card = event.rest ? null : this.currentSequence[event.cardIndex];
+            if (event.rest) {
+                const rest = new VF.StaveNote({ clef, keys: [REST_POSITIONS[clef] || 'b/4'], duration: duration + 'r' });
+                if (event.dots) rest.addDotToAll();
+                return { tickable: rest, ottava: 0 };
+            }
+            if (card.clef !== clef) {
+                return { tickable: new VF.GhostNote({ duration }), ottava: 0 };
+            }
+            const ottava = getCardOttava(card);
+            return { tickable: this.buildStaveNote(card, event.cardIndex, keySig, ottava, event), ottava };
+        }));
+
+        // Beam the eighth-note pairs that landed on the same staff
+        const beams = [];
+        staffNotes.forEach(notes => {
+            const groups = {};
+            events.forEach((event, e) => {
+                if (event.beamGroup === null || !(notes[e].tickable instanceof VF.StaveNote)) return;
+                (groups[event.beamGroup] = groups[event.beamGroup] || []).push(notes[e].tickable);
+            });
+            Object.values(groups).forEach(group => {
+                if (group.length > 1) beams.push(new VF.Beam(group));
+            });
+        });
+
+        measureEvents.forEach((inMeasure, m) => {
+            const beats = inMeasure.reduce((sum, e) => sum + events[e].beats, 0);
+            const voices = staffNotes.map(notes => {
+                const voice = new VF.Voice({num_beats: beats, beat_value: 4});
+                voice.addTickables(inMeasure.map(e => notes[e].tickable));
+                return voice;
+            });
+
+            const formatter = new VF.Formatter();
+            voices.forEach(v => formatter.joinVoices([v]));
+            formatter.formatToStave(voices, staves[0][m]);
+            voices.forEach((v, s) => v.draw(context, staves[s][m]));
+        });
+
+        beams.forEach(beam => beam.setContext(context).draw());
+
+        // Ottava brackets never cross a line break
+        systems.forEach(system => {
+            const onLine = system.measures.reduce((list, m) => list.concat(measureEvents[m]), []);
+            staffNotes.forEach(notes => this.drawOttavaBrackets(
+                context, onLine.map(e => notes[e].tickable), onLine.map(e => notes[e].ottava)));
+        });
+
+        // Keep each card's SVG group so answers only toggle classes (see updateNoteStates)
+        this.noteElements = [];
+        const lineOfCard = [];
+        const notes = []; // Tickable, stave and ottava per card - where ghost noteheads go
+        events.forEach((event, e) => {
+            if (event.rest) return;
+            const own = staffNotes[staffClefs.indexOf(this.currentSequence[event.cardIndex].clef)];
+            this.noteElements[event.cardIndex] = own ? own[e].tickable.getAttribute('el') : null;
+            lineOfCard[event.cardIndex] = systems.findIndex(system => system.measures.includes(event.measure));
+            notes[event.cardIndex] = own ? { tickable: own[e].tickable, stave: staves[staffClefs.indexOf(this.currentSequence[event.cardIndex].clef)][event.measure], ottava: own[e].ottava } : null;
+        });
+        this.scoreLayout = { systemHeight, lineOfCard, notes };
+
+        // Follow-the-cursor: a window of two lines over the full score
+        const follow = !!this.settings.followCursor;
+        div.classList.toggle('follow-cursor', follow);
+        div.style.maxHeight = follow ? `${systemHeight * 2 + 20}px` : '';
+
+        this.updateNoteStates('auto');
+    },
+
+    buildStaveNote: function(card, index, keySig, ottava, event = null) {
+        const VF = Vex.Flow;
+        const tones = getCardTones(card); // One key per tone - intervals and chords share a stem
+        const keys = tones.map(tone => {
+            let keyString = `${tone.note.toLowerCase()}`;
+            if (tone.accidental) keyString += tone.accidental;
+            return keyString + `/${tone.octave - ottava}`; // Written octave under an 8va/8vb line
+        });
+
+        const vfNote = new VF.StaveNote({
+            clef: card.clef,
+            keys,
+            duration: event ? event.duration + (event.dots ? 'd' : '') : "q",
+            auto_stem: true
+        });
+        if (event && event.dots) vfNote.addDotToAll();
+
+        // Add Accidental if it differs from what the key signature implies (including naturals)
+        tones.forEach((tone, k) => {
+            const visualAccidental = getVisualAccidental(keySig, tone.note, tone.accidental);
+            if (visualAccidental) {
+               vfNote.addAccidental(k, new VF.Accidental(visualAccidental));
             }
+        });
+
+        // Colors come from CSS classes set by updateNoteStates, so answers never need a re-render
+        return vfNote;
+    },
 
-            return vfNote;
+    // Recolor notes in place: done (green), active (blue), played chord tones, wrong flash
+    updateNoteStates: function(scrollBehavior = 'smooth') {
+        this.noteElements.forEach((el, index) => {
+            if (!el) return;
+            el.classList.toggle('note-done', index < this.sequenceIndex);
+            el.classList.toggle('note-active', index === this.sequenceIndex);
+            el.querySelectorAll('.vf-notehead').forEach((head, k) => {
+                head.classList.toggle('tone-hit', index === this.sequenceIndex && this.chordHits.includes(k));
+            });
         });
+        this.drawGhostNotes();
+        this.followCursor(scrollBehavior);
+    },
+
+    // Wrong pitches for the active note, drawn as red noteheads just right of it
+    drawGhostNotes: function() {
+        const svg = document.querySelector('#notation-container svg');
+        if (!svg || !this.scoreLayout) return;
+        svg.querySelectorAll('.ghost-note').forEach(g => g.remove());
 
-        const voice = new VF.Voice({num_beats: this.currentSequence.length, beat_value: 4});
-        voice.addTickables(notes);
-        new VF.Formatter().joinVoices([voice]).format([voice], width - 60);
-        voice.draw(context, stave);
+        const placed = this.scoreLayout.notes[this.sequenceIndex];
+        const card = this.currentSequence[this.sequenceIndex];
+        if (!placed || !card) return;
+        this.roundMistakes
+            .filter(m => m.cardIndex === this.sequenceIndex && m.played)
+            .slice(-3)
+            .forEach((m, k) => {
+                const x = placed.tickable.getAbsoluteX() + 28 + k * 18;
+                svg.appendChild(this.createGhostNote(placed.stave, card.clef, m.played, placed.ottava, x));
+            });
     },
 
-    handleInput: function(note, octave, accidental) {
+    // Bare SVG notehead (+ ledger lines and accidental) at a pitch's staff position
+    createGhostNote: function(stave, clef, tone, ottava, x) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const line = Vex.Flow.keyProperties(`${tone.note.toLowerCase()}/${tone.octave - ottava}`, clef).line;
+        const y = stave.getYForNote(line);
+        const spacing = stave.getSpacingBetweenLines();
+        const group = document.createElementNS(ns, 'g');
+        group.setAttribute('class', 'ghost-note');
+
+        // Ledger lines: staff lines are 1 (bottom) to 5 (top)
+        const ledgers = [];
+        for (let l = 0; l >= line; l--) ledgers.push(l);
+        for (let l = 6; l <= line; l++) ledgers.push(l);
+        ledgers.forEach(l => {
+            const ledger = document.createElementNS(ns, 'line');
+            const ly = stave.getYForNote(l);
+            ledger.setAttribute('x1', x - spacing);
+            ledger.setAttribute('x2', x + spacing);
+            ledger.setAttribute('y1', ly);
+            ledger.setAttribute('y2', ly);
+            group.appendChild(ledger);
+        });
+
+        const head = document.createElementNS(ns, 'ellipse');
+        head.setAttribute('cx', x);
+        head.setAttribute('cy', y);
+        head.setAttribute('rx', spacing * 0.65);
+        head.setAttribute('ry', spacing * 0.45);
+        head.setAttribute('transform', `rotate(-20 ${x} ${y})`);
+        group.appendChild(head);
+
+        const symbols = { '#': '♯', 'b': '♭', '##': '𝄪', 'bb': '𝄫', 'n': '♮' };
+        if (tone.accidental && symbols[tone.accidental]) {
+            const text = document.createElementNS(ns, 'text');
+            text.setAttribute('x', x - spacing * 1.8);
+            text.setAttribute('y', y + spacing * 0.5);
+            text.textContent = symbols[tone.accidental];
+            group.appendChild(text);
+        }
+        return group;
+    },
+
+    // Spell a wrong answer for the staff. Keyboards know the octave; note names and the
+    // microphone only give the pitch class, so place it in the octave closest to the target
+    spellPlayedNote: function(card, note, octave, accidental) {
+        const played = { note, octave, accidental: accidental && accidental !== 'n' ? accidental : null };
+        if (this.settings.mode === 'piano') return played;
+        const target = getSemitone(card.note, card.octave);
+        let best = octave;
+        [card.octave - 1, card.octave, card.octave + 1].forEach(o => {
+            if (Math.abs(getSemitone(note, o) - target) < Math.abs(getSemitone(note, best) - target)) best = o;
+        });
+        return { ...played, octave: best };
+    },
+
+    // Flash the active note red after a wrong answer
+    markWrongNote: function() {
+        const el = this.noteElements[this.sequenceIndex];
+        if (!el) return;
+        el.classList.remove('note-wrong');
+        void el.getBoundingClientRect(); // Restart the animation
+        el.classList.add('note-wrong');
+    },
+
+    // Teleprompter view: keep the active note's line at the top of the score window
+    followCursor: function(behavior = 'smooth') {
+        const div = document.getElementById('notation-container');
+        if (!this.settings.followCursor || !this.scoreLayout) return;
+        const line = this.scoreLayout.lineOfCard[this.sequenceIndex] || 0;
+        div.scrollTo({ top: line * this.scoreLayout.systemHeight, behavior });
+    },
+
+    // Re-layout only when the available width actually changes (rotation, window resize)
+    handleResize: function() {
+        clearTimeout(this.resizeTimeout);
+        this.resizeTimeout = setTimeout(() => {
+            if (this.currentSequence.length === 0) return;
+            if (this.getScoreWidth() !== this.renderWidth) {
+                Logger.debug('Viewport resized, re-laying out score', { from: this.renderWidth, to: this.getScoreWidth() });
+                this.renderSequence();
+            }
+        }, 150);
+    },
+
+    getScoreWidth: function() {
+        return Math.min(800, window.innerWidth - 30);
+    },
+
+    // One 8va / 8vb bracket per run of consecutive notes sharing the same shift
+    drawOttavaBrackets: function(context, notes, ottavas) {
+        const VF = Vex.Flow;
+        let start = 0;
+        for (let i = 1; i <= ottavas.length; i++) {
+            if (i < ottavas.length && ottavas[i] === ottavas[start]) continue;
+            if (ottavas[start] !== 0) {
+                const above = ottavas[start] > 0;
+                new VF.TextBracket({
+                    start: notes[start],
+                    stop: notes[i - 1],
+                    text: '8',
+                    superscript: above ? 'va' : 'vb',
+                    position: above ? VF.TextBracket.Positions.TOP : VF.TextBracket.Positions.BOTTOM
+                }).setContext(context).draw();
+            }
+            start = i;
+        }
+    },
+
+    // Toggle an accidental modifier for the next note-name button press
+    setPendingAccidental: function(accidental) {
+        this.pendingAccidental = (accidental && this.pendingAccidental !== accidental) ? accidental : null;
+        document.querySelectorAll('.acc-btn').forEach(btn => {
+            const active = btn.dataset.accidental === this.pendingAccidental;
+            btn.classList.toggle('bg-indigo-500', active);
+            btn.classList.toggle('bg-slate-700', !active);
+        });
+    },
+
+    // inputTime = when the note was played (microphone onsets arrive after the fact); defaults to now
+    handleInput: function(note, octave, accidental, inputTime = Date.now()) {
         if (this.isProcessing) return;
         
         // Don't play audio in microphone mode to avoid feedback
@@ -2122,70 +2800,109 @@ const App = {
             AudioEngine.playTone(getFrequency(freqNote, octave));
         }
 
+        // Rhythm rounds: anything whose window closed before this input was missed
+        if (this.rhythmClock) {
+            this.checkMissedOnsets(inputTime);
+            if (this.isProcessing) return; // That was the round's last note
+        }
+
         const targetCard = this.currentSequence[this.sequenceIndex];
         if (!targetCard) return;
 
-        const inputTime = Date.now();
         const delta = inputTime - this.lastNoteTime;
 
-        const targetNote = targetCard.note;
-        const targetAcc = targetCard.accidental;
-        
-        let inputNote = note;
         let inputAcc = accidental;
+        // Note-name buttons carry no accidental - the key signature applies to them
+        // unless a ♭/♮/♯ modifier was tapped first ('n' = explicit natural)
+        if (this.settings.mode === 'buttons' && !inputAcc) {
+            inputAcc = this.pendingAccidental || getKeyAccidental(targetCard.keySig, note);
+            this.setPendingAccidental(null);
+        }
 
-        const isEnharmonic = (n1, a1, n2, a2) => {
-            const map = { 'C#': 'Db', 'D#': 'Eb', 'F#': 'Gb', 'G#': 'Ab', 'A#': 'Bb' };
-            const i1 = n1 + (a1||'');
-            const i2 = n2 + (a2||'');
-            if (i1 === i2) return true;
-            if (map[i1] === i2) return true;
-            if (map[i2] === i1) return true;
-            return false;
+        // Compare sounding pitches so any enharmonic spelling counts (Eb = D#, Cb4 = B3, F## = G)
+        const inputSemitone = getSemitone(note, octave, inputAcc);
+        const matchesTone = (tone) => {
+            const targetSemitone = getSemitone(tone.note, tone.octave, tone.accidental);
+            // Octave only matters in piano mode
+            if (this.settings.mode === 'piano') return inputSemitone === targetSemitone;
+            return ((inputSemitone - targetSemitone) % 12 + 12) % 12 === 0;
         };
 
-        const correctNote = isEnharmonic(inputNote, inputAcc, targetNote, targetAcc);
-        let correctOctave = true;
-        if (this.settings.mode === 'piano') {
-            correctOctave = (octave === targetCard.octave);
+        // Intervals and chords are answered by playing every tone, in any order
+        const tones = getCardTones(targetCard);
+        const hitIndex = tones.findIndex((tone, k) => !this.chordHits.includes(k) && matchesTone(tone));
+        if (tones.length > 1) {
+            if (hitIndex === -1 && tones.some(matchesTone)) return; // Repeat of a tone already played
+            if (hitIndex !== -1) {
+                this.chordHits.push(hitIndex);
+                if (this.chordHits.length < tones.length) {
+                    this.updateNoteStates();
+                    this.updateHintText();
+                    return;
+                }
+            }
         }
+        // Time per tone, so chords share the speed targets of single notes
+        const timePerTone = delta / tones.length;
 
-        if (correctNote && correctOctave) {
+        if (hitIndex !== -1) {
             // Record with Time Delta
-            const resultType = this.srs.recordResult(targetCard.id, true, delta);
+            const resultType = this.recordAttempt(targetCard, true, timePerTone);
+            this.chordHits = [];
             this.sequenceIndex++;
-            this.lastNoteTime = Date.now(); // Reset timer for next note
+            this.lastNoteTime = inputTime; // Reset timer for next note
             this.updateHintText(); // Update hint for next note
             
             // Advance metronome beat when correct note is played
             if (this.settings.metronomeEnabled && Metronome.isRunning) {
                 const beatInterval = (60 / this.settings.tempo) * 1000;
-                this.nextBeatTime = Date.now() + beatInterval;
+                this.nextBeatTime = inputTime + beatInterval;
             }
             
             if (this.sequenceIndex >= this.currentSequence.length) {
                 // Round complete - check for progression only after successful completion
                 Logger.info('Round completed successfully, checking progression', {
                     sequenceLength: this.currentSequence.length,
-                    unlockedCount: this.srs.data.unlockedCount
+                    clefs: this.srs.getClefSummary()
                 });
-                this.settings.clefs.forEach(c => this.srs.checkProgression(c));
+                this.runClefChecks('progression');
                 this.provideFeedback(true, resultType);
             } else {
                 // Immediate mini-feedback for speed
                 if (resultType === 'slow') {
                     this.flashFeedback('slow');
                 }
-                this.renderSequence();
+                this.updateNoteStates();
             }
         } else {
-            this.srs.recordResult(targetCard.id, false, delta);
+            this.recordAttempt(targetCard, false, timePerTone);
+            this.roundMistakes.push({
+                cardIndex: this.sequenceIndex,
+                played: this.spellPlayedNote(targetCard, note, octave, inputAcc),
+                at: inputTime
+            });
             this.flashFeedback('wrong');
+            this.chordHits = []; // Start a chord over
+            this.markWrongNote();
+            // Rhythm rounds grade each note once: the music moves on, so its window closing
+            // later doesn't count it again (checkMissedOnsets)
+            if (this.rhythmClock) {
+                this.sequenceIndex++;
+                this.lastNoteTime = inputTime;
+                if (this.sequenceIndex >= this.currentSequence.length) {
+                    this.stopRhythmClock();
+                    this.runClefChecks('regression');
+                    this.updateStats();
+                    this.provideFeedback(true, 'wrong');
+                    return;
+                }
+            }
+            this.updateNoteStates();
             
             // Show what was detected vs what was expected
             const hintEl = document.getElementById('hint-text');
             if (hintEl && targetCard) {
-                const expectedNote = targetCard.note + (targetCard.accidental || '') + targetCard.octave;
+                const expectedNote = this.getCardName(targetCard);
                 const detectedNote = note + (accidental || '') + octave;
                 hintEl.innerHTML = `Expected: <span class="text-indigo-400 font-bold">${expectedNote}</span> | Detected: <span class="text-red-400">${detectedNote}</span>`;
                 
@@ -2196,7 +2913,7 @@ const App = {
             }
             
             // Check for regression after wrong answers
-            this.settings.clefs.forEach(c => this.srs.checkRegression(c));
+            this.runClefChecks('regression');
         }
         this.updateStats();
     },
@@ -2218,13 +2935,16 @@ const App = {
         this.flashFeedback('correct');
         
         const feedbackEl = document.getElementById('feedback-text');
+        const summary = this.summarizeResults(this.roundResults);
         
         let msg = "Round Complete!";
         let col = "text-green-500";
         
-        // Check if the user struggled with speed in this round
-        // (Simplified: just check last note for now, or could check average)
-        if (lastResultType === 'slow') {
+        // Judge the whole round, not just its last note
+        if (summary.attempts > summary.correct) {
+            msg = `Round Over - ${Math.round(summary.accuracy * 100)}% correct`;
+            col = "text-red-500";
+        } else if (this.roundResults.some(r => r.resultType === 'slow')) {
             msg = "Correct, but Slow";
             col = "text-orange-500";
         }
@@ -2233,25 +2953,399 @@ const App = {
         feedbackEl.className = `absolute top-8 text-3xl font-bold transition-opacity z-10 ${col}`;
         feedbackEl.style.opacity = 1;
 
-        this.renderSequence(); // ensure final note is green
+        this.updateNoteStates(); // ensure final note is green
+        this.sessionRounds++;
 
         setTimeout(() => {
             feedbackEl.style.opacity = 0;
-            this.nextRound();
+            // The summary screen starts the next round when it is closed
+            if (this.settings.showSummary !== false || this.roundMistakes.length > 0) {
+                this.awaitingNextRound = true;
+                this.showSummary('round');
+            } else {
+                this.nextRound();
+            }
         }, 1000);
     },
 
+    // Record an answer with the SRS and keep it for the round and session summaries
+    recordAttempt: function(card, isCorrect, ms) {
+        const wasReady = this.srs.evaluateNote(this.srs.data.items[card.id]).ready;
+        const resultType = this.srs.recordResult(card, isCorrect, ms, this.settings.mode);
+        const result = {
+            id: card.id,
+            name: this.getCardName(card),
+            clef: card.clef,
+            keySig: card.keySig,
+            isCorrect,
+            ms,
+            resultType,
+            becameReady: !wasReady && this.srs.evaluateNote(this.srs.data.items[card.id]).ready
+        };
+        this.roundResults.push(result);
+        this.sessionResults.push(result);
+        return resultType;
+    },
+
+    getCardName: function(card) {
+        return card.label || `${card.note}${card.accidental || ''}${card.octave}`;
+    },
+
+    // Run progression or regression for the active clefs and remember any unlock count changes
+    runClefChecks: function(kind) {
+        this.getActiveClefs().forEach(clef => {
+            const before = this.srs.getClefState(clef).unlockedCount;
+            if (kind === 'progression') {
+                this.srs.checkProgression(clef);
+            } else {
+                this.srs.checkRegression(clef);
+            }
+            const after = this.srs.getClefState(clef).unlockedCount;
+            if (after !== before) {
+                const event = { clef, type: after > before ? 'unlock' : 'regression', from: before, to: after };
+                this.roundEvents.push(event);
+                this.sessionEvents.push(event);
+            }
+        });
+    },
+
+    // Accuracy and timing per item, weakest first (lowest accuracy, then slowest median)
+    summarizeResults: function(results) {
+        const byId = {};
+        results.forEach(r => {
+            const entry = byId[r.id] = byId[r.id] || {
+                id: r.id, name: r.name, clef: r.clef, keySig: r.keySig,
+                attempts: 0, correct: 0, times: [], becameReady: false
+            };
+            entry.attempts++;
+            if (r.isCorrect) {
+                entry.correct++;
+                entry.times.push(r.ms);
+            }
+            if (r.becameReady) entry.becameReady = true;
+        });
+
+        const notes = Object.values(byId).map(entry => ({
+            ...entry,
+            accuracy: entry.correct / entry.attempts,
+            medianMs: entry.times.length ? this.srs.percentile(entry.times, 0.5) : null,
+            slowestMs: entry.times.length ? Math.max(...entry.times) : null
+        }));
+        notes.sort((a, b) => (a.accuracy - b.accuracy) || ((b.medianMs || Infinity) - (a.medianMs || Infinity)));
+
+        const times = results.filter(r => r.isCorrect).map(r => r.ms);
+        const correct = results.filter(r => r.isCorrect).length;
+        return {
+            attempts: results.length,
+            correct,
+            accuracy: results.length ? correct / results.length : 0,
+            medianMs: times.length ? this.srs.percentile(times, 0.5) : null,
+            notes
+        };
+    },
+
+    // Round or session summary: overall numbers, per-note table, unlocks/regressions, mistakes on the staff
+    showSummary: function(scope) {
+        const isRound = scope === 'round';
+        const results = isRound ? this.roundResults : this.sessionResults;
+        const events = isRound ? this.roundEvents : this.sessionEvents;
+        const summary = this.summarizeResults(results);
+        this.summaryScope = scope;
+
+        const formatMs = (ms) => ms === null ? '--' : `${(ms / 1000).toFixed(1)}s`;
+        const minutes = Math.round((Date.now() - this.sessionStart) / 60000);
+        document.getElementById('summary-title').textContent = isRound
+            ? 'Round Summary'
+            : `Session Summary (${this.sessionRounds} rounds, ${minutes} min)`;
+
+        document.getElementById('summary-stats').innerHTML = [
+            ['Accuracy', `${Math.round(summary.accuracy * 100)}%`],
+            ['Median', formatMs(summary.medianMs)],
+            ['Answers', `${summary.correct}/${summary.attempts}`]
+        ].map(([label, value]) => `<div class="bg-slate-700 rounded-lg p-3 text-center">
+                <div class="text-xs text-slate-400 uppercase tracking-wider">${label}</div>
+                <div class="text-2xl font-bold">${value}</div>
+            </div>`).join('');
+
+        const ready = summary.notes.filter(n => n.becameReady).map(n => n.name);
+        const progress = events.map(e => {
+            const label = CLEF_LABELS[e.clef] || e.clef;
+            return e.type === 'unlock'
+                ? `<li class="text-green-400">${label}: unlocked ${e.from} &rarr; ${e.to} notes</li>`
+                : `<li class="text-red-400">${label}: regressed ${e.from} &rarr; ${e.to} notes</li>`;
+        });
+        if (ready.length > 0) {
+            progress.unshift(`<li class="text-indigo-300">Now ready: ${ready.join(', ')}</li>`);
+        }
+        document.getElementById('summary-events').innerHTML = progress.join('');
+
+        document.getElementById('summary-notes').innerHTML = summary.notes.map(n => `<tr class="border-t border-slate-700">
+                <td class="py-1">${n.name} <span class="text-xs text-slate-500">${CLEF_LABELS[n.clef] || n.clef}</span></td>
+                <td class="py-1 text-right ${n.accuracy < 1 ? 'text-red-400' : 'text-green-400'}">${Math.round(n.accuracy * 100)}% <span class="text-xs text-slate-500">(${n.correct}/${n.attempts})</span></td>
+                <td class="py-1 text-right">${formatMs(n.medianMs)}</td>
+                <td class="py-1 text-right">${formatMs(n.slowestMs)}</td>
+            </tr>`).join('');
+
+        const showMistakes = isRound && this.roundMistakes.length > 0;
+        document.getElementById('review-section').classList.toggle('hidden', !showMistakes);
+        if (showMistakes) this.renderMistakeReview();
+
+        document.getElementById('btn-session-summary').classList.toggle('hidden', !isRound);
+        document.getElementById('btn-new-session').classList.toggle('hidden', isRound);
+        document.getElementById('btn-drill-weakest').disabled = summary.notes.length === 0;
+        document.getElementById('btn-close-summary').textContent = this.awaitingNextRound ? 'Next Round' : 'Close';
+
+        Logger.info(`${isRound ? 'Round' : 'Session'} summary`, {
+            accuracy: summary.accuracy,
+            medianMs: summary.medianMs,
+            events,
+            weakest: summary.notes.slice(0, 3).map(n => n.id)
+        });
+        document.getElementById('summary-modal').classList.remove('hidden');
+    },
+
+    closeSummary: function() {
+        document.getElementById('summary-modal').classList.add('hidden');
+        if (this.awaitingNextRound) {
+            this.awaitingNextRound = false;
+            this.nextRound();
+        }
+    },
+
+    // Next round uses only the weakest items of the summary (same clef and key as the very weakest)
+    drillWeakest: function() {
+        const results = this.summaryScope === 'round' ? this.roundResults : this.sessionResults;
+        const notes = this.summarizeResults(results).notes;
+        if (notes.length === 0) return;
+
+        const weakest = notes[0];
+        const ids = notes
+            .filter(n => n.clef === weakest.clef && n.keySig === weakest.keySig)
+            .slice(0, 4)
+            .map(n => n.id);
+        document.getElementById('summary-modal').classList.add('hidden');
+        this.awaitingNextRound = false;
+        Logger.info('Drilling weakest notes', { clef: weakest.clef, keySig: weakest.keySig, ids });
+        this.nextRound(null, { clef: weakest.clef, keySig: weakest.keySig, ids });
+    },
+
+    startNewSession: function() {
+        this.resetSession();
+        this.showSummary('session');
+    },
+
+    resetSession: function() {
+        this.sessionResults = [];
+        this.sessionEvents = [];
+        this.sessionRounds = 0;
+        this.sessionStart = Date.now();
+    },
+
+    // Replay every mistake of the round: written note (black) next to what was played (red)
+    renderMistakeReview: function() {
+        const VF = Vex.Flow;
+        const container = document.getElementById('review-mistakes');
+        container.innerHTML = '';
+
+        this.roundMistakes.forEach(mistake => {
+            const card = this.currentSequence[mistake.cardIndex];
+            const div = document.createElement('div');
+            div.className = 'bg-white rounded-lg';
+            container.appendChild(div);
+
+            const renderer = new VF.Renderer(div, VF.Renderer.Backends.SVG);
+            renderer.resize(200, 170);
+            const context = renderer.getContext();
+            const stave = new VF.Stave(5, 30, 190);
+            stave.addClef(card.clef).addKeySignature(card.keySig);
+            stave.setContext(context).draw();
+
+            const ottava = getCardOttava(card);
+            const target = this.buildStaveNote(card, mistake.cardIndex, card.keySig, ottava);
+            target.addModifier(0, new VF.Annotation(card.label || 'written')
+                .setVerticalJustification(VF.Annotation.VerticalJustify.BOTTOM));
+            const notes = [target];
+
+            if (mistake.played) {
+                const playedCard = { ...mistake.played, clef: card.clef, keySig: card.keySig };
+                const played = this.buildStaveNote(playedCard, -1, card.keySig, ottava);
+                played.setStyle({ fillStyle: '#ef4444', strokeStyle: '#ef4444' });
+                const name = mistake.played.note + (mistake.played.accidental || '') + mistake.played.octave;
+                played.addModifier(0, new VF.Annotation(name)
+                    .setVerticalJustification(VF.Annotation.VerticalJustify.BOTTOM));
+                notes.push(played);
+            } else {
+                notes.push(new VF.GhostNote({ duration: 'q' }));
+                target.addModifier(0, new VF.Annotation('missed').setVerticalJustification(VF.Annotation.VerticalJustify.TOP));
+            }
+
+            const voice = new VF.Voice({num_beats: notes.length, beat_value: 4});
+            voice.addTickables(notes);
+            new VF.Formatter().joinVoices([voice]).formatToStave([voice], stave);
+            voice.draw(context, stave);
+            this.drawOttavaBrackets(context, [target], [ottava]);
+        });
+    },
+
+    // Progress dashboard: trends, practice calendar and note x octave heatmap from AttemptHistory
+    showDashboard: function() {
+        const clefSelect = document.getElementById('dash-clef');
+        const current = clefSelect.value || this.getActiveClefs()[0];
+        clefSelect.innerHTML = Object.keys(PROGRESSION)
+            .map(clef => `<option value="${clef}">${CLEF_LABELS[clef] || clef}</option>`).join('');
+        clefSelect.value = current;
+        this.renderDashboard(true);
+        document.getElementById('dashboard-modal').classList.remove('hidden');
+    },
+
+    // clefChanged = repopulate the note list for the selected clef
+    renderDashboard: function(clefChanged = false) {
+        const records = AttemptHistory.load();
+        const now = Date.now();
+        const clef = document.getElementById('dash-clef').value;
+        const itemSelect = document.getElementById('dash-item');
+
+        if (clefChanged) {
+            const ids = [...new Set(records.filter(r => r.clef === clef).map(r => r.id))].sort();
+            itemSelect.innerHTML = '<option value="">All items</option>' +
+                ids.map(id => `<option value="${id}">${id.slice(clef.length + 1)}</option>`).join('');
+        }
+
+        const unit = document.getElementById('dash-unit').value;
+        const clefRecords = records.filter(r => r.clef === clef);
+        const ids = itemSelect.value ? [itemSelect.value] : null;
+        const trend = AttemptHistory.trend(clefRecords, ids, unit, unit === 'week' ? 26 : 30, now);
+
+        document.getElementById('dash-trend').innerHTML = this.renderTrendChart(trend, unit);
+        document.getElementById('dash-calendar').innerHTML = this.renderPracticeCalendar(AttemptHistory.practiceByDay(records), now);
+        document.getElementById('dash-mastery').innerHTML = this.renderMasteryHeatmap(AttemptHistory.masteryGrid(records, clef));
+    },
+
+    // Accuracy (0-100%) and median time (0-slowest) as two lines over the same buckets
+    renderTrendChart: function(trend, unit) {
+        const width = 640, height = 160, pad = 24;
+        const step = (width - pad * 2) / Math.max(1, trend.length - 1);
+        const maxMs = Math.max(1000, ...trend.map(b => b.medianMs || 0));
+        const x = i => pad + i * step;
+        const yAccuracy = v => height - pad - v * (height - pad * 2);
+        const yMs = v => height - pad - (v / maxMs) * (height - pad * 2);
+
+        // Buckets without attempts break the line instead of dropping to zero
+        const line = (value, y) => {
+            const segments = [];
+            let current = [];
+            trend.forEach((b, i) => {
+                if (value(b) === null) {
+                    if (current.length) segments.push(current);
+                    current = [];
+                } else {
+                    current.push(`${x(i)},${y(value(b))}`);
+                }
+            });
+            if (current.length) segments.push(current);
+            return segments;
+        };
+        const draw = (segments, color) => segments.map(points => points.length === 1
+            ? `<circle cx="${points[0].split(',')[0]}" cy="${points[0].split(',')[1]}" r="3" fill="${color}"/>`
+            : `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`).join('');
+
+        const formatDate = t => new Date(t).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        const total = trend.reduce((sum, b) => sum + b.attempts, 0);
+        if (total === 0) {
+            return '<div class="text-sm text-slate-500">No attempts in this period yet.</div>';
+        }
+
+        return `<svg viewBox="0 0 ${width} ${height}" class="w-full bg-slate-900 rounded-lg">
+            <line x1="${pad}" y1="${yAccuracy(1)}" x2="${width - pad}" y2="${yAccuracy(1)}" stroke="#334155" stroke-dasharray="4"/>
+            <line x1="${pad}" y1="${yAccuracy(0)}" x2="${width - pad}" y2="${yAccuracy(0)}" stroke="#334155"/>
+            <text x="2" y="${yAccuracy(1) + 4}" fill="#4ade80" font-size="10">100%</text>
+            <text x="${width - 2}" y="${yMs(maxMs) + 4}" fill="#818cf8" font-size="10" text-anchor="end">${(maxMs / 1000).toFixed(1)}s</text>
+            ${draw(line(b => b.accuracy, yAccuracy), '#4ade80')}
+            ${draw(line(b => b.medianMs, yMs), '#818cf8')}
+            <text x="${pad}" y="${height - 6}" fill="#94a3b8" font-size="10">${formatDate(trend[0].start)}</text>
+            <text x="${width - pad}" y="${height - 6}" fill="#94a3b8" font-size="10" text-anchor="end">${unit === 'week' ? 'this week' : 'today'} (${total} attempts)</text>
+        </svg>`;
+    },
+
+    // GitHub-style calendar: one column per week (Monday on top), last 26 weeks
+    renderPracticeCalendar: function(practiceByDay, now) {
+        const cell = 12, gap = 2, weeks = 26;
+        const firstWeek = new Date(AttemptHistory.startOfWeek(now));
+        firstWeek.setDate(firstWeek.getDate() - (weeks - 1) * 7);
+
+        const shade = minutes => minutes === 0 ? '#334155'
+            : minutes < 5 ? '#3730a3'
+            : minutes < 15 ? '#4f46e5'
+            : minutes < 30 ? '#6366f1'
+            : '#a5b4fc';
+
+        const cells = [];
+        let totalMinutes = 0;
+        for (let w = 0; w < weeks; w++) {
+            for (let d = 0; d < 7; d++) {
+                const day = new Date(firstWeek);
+                day.setDate(day.getDate() + w * 7 + d);
+                if (day.getTime() > now) continue;
+                const minutes = Math.round((practiceByDay[day.getTime()] || 0) / 60000);
+                totalMinutes += minutes;
+                cells.push(`<rect x="${w * (cell + gap)}" y="${d * (cell + gap)}" width="${cell}" height="${cell}" rx="2" fill="${shade(minutes)}">
+                    <title>${day.toLocaleDateString()}: ${minutes} min</title>
+                </rect>`);
+            }
+        }
+
+        return `<svg width="${weeks * (cell + gap)}" height="${7 * (cell + gap)}">${cells.join('')}</svg>
+            <div class="text-xs text-slate-500 mt-1">${totalMinutes} min in the last ${weeks} weeks</div>`;
+    },
+
+    // Rows = letters, columns = octaves; colour = accuracy over each position's recent attempts
+    renderMasteryHeatmap: function(grid) {
+        if (grid.octaves.length === 0) {
+            return '<div class="text-sm text-slate-500">No single-note attempts for this clef yet.</div>';
+        }
+
+        const letters = ['B', 'A', 'G', 'F', 'E', 'D', 'C']; // High to low, like the staff
+        const header = grid.octaves.map(o => `<th class="px-2 font-semibold text-slate-400">${o}</th>`).join('');
+        const rows = letters.map(letter => {
+            const cells = grid.octaves.map(octave => {
+                const cell = grid.cells[letter + octave];
+                if (!cell) return '<td class="px-2 py-1 text-center text-slate-600">-</td>';
+                const hue = Math.round(cell.accuracy * 120); // Red (0%) to green (100%)
+                const time = cell.medianMs === null ? '' : `${(cell.medianMs / 1000).toFixed(1)}s`;
+                return `<td class="px-2 py-1 text-center rounded" style="background: hsl(${hue}, 60%, 35%)"
+                    title="${letter}${octave}: ${Math.round(cell.accuracy * 100)}% of ${cell.attempts}, median ${time || '--'}">${time}</td>`;
+            }).join('');
+            return `<tr><th class="pr-2 text-right font-semibold text-slate-400">${letter}</th>${cells}</tr>`;
+        }).join('');
+
+        return `<table class="text-xs border-separate" style="border-spacing: 2px">
+            <thead><tr><th></th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    },
+
     updateStats: function() {
-        const stats = this.srs.getStats();
-        document.getElementById('unlocked-disp').textContent = stats.unlocked;
-        document.getElementById('ready-disp').textContent = stats.notesReady;
-        
-        // Update progress bar based on how many notes are ready
-        // Progress = notes ready / notes unlocked
-        const pct = stats.unlocked > 0 ? Math.min(100, (stats.notesReady / stats.unlocked) * 100) : 0;
-        document.getElementById('mastery-bar').style.width = pct + "%";
+        const container = document.getElementById('clef-stats');
+        if (!container) return;
+        
+        // One row per enabled clef - each clef progresses independently
+        container.innerHTML = this.getActiveClefs().map(clef => {
+            const stats = this.srs.getStats(clef);
+            const label = CLEF_LABELS[clef] || clef;
+            
+            // Update progress bar based on how many notes are ready
+            // Progress = notes ready / notes unlocked
+            const pct = stats.unlocked > 0 ? Math.min(100, (stats.notesReady / stats.unlocked) * 100) : 0;
+            return `<div class="flex items-center gap-2" data-clef="${clef}">
+                <div>${label}: <span class="text-white font-bold">${stats.unlocked}</span> notes (<span class="text-indigo-400">${stats.notesReady}</span> ready)</div>
+                <div class="w-24 h-2 bg-slate-700 rounded-full overflow-hidden">
+                    <div class="h-full bg-indigo-500 progression-bar" style="width: ${pct}%"></div>
+                </div>
+            </div>`;
+        }).join('');
     }
 };
 
-window.onload = () => App.init();
+// Everything reads its saved state synchronously, so storage has to be loaded first
+window.onload = () => AppStorage.init().then(() => App.init());
 
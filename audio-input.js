@@ -0,0 +1,326 @@
+/**
+ * AUDIO INPUT
+ * The one place that owns the AudioContext, the analyser and the current source.
+ * A source is the microphone, a decoded file or a test signal; whichever is open, detectors only
+ * ever see frames: onFrame listeners get (frame: Float32Array, sampleRate) once per display refresh.
+ * Where AudioWorklet is supported, startAnalysis also frames the source on the audio thread and runs
+ * the NSDF analysis in a worker; onAnalysis listeners get every result with a sample-accurate timestamp.
+ * forEachFrame runs the same framing over recorded samples without Web Audio (Node, tools)
+ */
+const AudioInput = {
+    FFT_SIZE: 4096, // 2048-sample frames - enough periods of low E (82 Hz) for a stable estimate
+    ANALYSIS_HOP: 1024, // Samples between worker frames (~21 ms at 48 kHz), independent of the display
+
+    audioContext: null,
+    analyser: null,
+    source: null, // Node feeding the analyser
+    sourceType: null, // 'microphone' | 'file' | 'signal'
+    mediaStream: null, // Microphone stream, stopped on close
+    oscillator: null, // Test signal, stopped on close
+    dataArray: null,
+    frameListeners: [],
+    animationFrame: null,
+    workletNode: null, // Frame worklet feeding the analysis worker
+    analysisWorker: null,
+    analysisListeners: [],
+
+    isOpen: function() {
+        return !!this.source;
+    },
+
+    getSampleRate: function() {
+        return this.audioContext ? this.audioContext.sampleRate : 44100;
+    },
+
+    // Fresh context and analyser for a new source (any previous source is closed first)
+    createContext: function() {
+        this.close();
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = this.FFT_SIZE;
+        this.analyser.smoothingTimeConstant = 0.3;
+        this.dataArray = new Float32Array(this.analyser.frequencyBinCount);
+    },
+
+    connectSource: function(node, type) {
+        node.connect(this.analyser);
+        this.source = node;
+        this.sourceType = type;
+        Logger.info('Audio input opened', { source: type, sampleRate: this.audioContext.sampleRate });
+    },
+
+    // Returns true, or { success: false, error } with a userMessage to show
+    openMicrophone: async function() {
+        try {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                Logger.error('getUserMedia not available', {
+                    hasMediaDevices: !!navigator.mediaDevices,
+                    protocol: window.location.protocol,
+                    hostname: window.location.hostname,
+                    isSecureContext: window.isSecureContext
+                });
+                throw new Error('getUserMedia is not supported in this browser.');
+            }
+
+            // Note: Browsers allow localhost (127.0.0.1) over HTTP as a secure context exception
+            // We don't need to check isSecureContext - let the browser handle it
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            });
+
+            this.createContext();
+            this.mediaStream = stream;
+            this.connectSource(this.audioContext.createMediaStreamSource(stream), 'microphone');
+            return true;
+        } catch (error) {
+            const errorDetails = {
+                error: error.message,
+                name: error.name,
+                protocol: window.location.protocol,
+                hostname: window.location.hostname,
+                isSecureContext: window.isSecureContext
+            };
+
+            // Provide specific error messages
+            if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
+                errorDetails.userMessage = 'Microphone permission denied. Please:\n' +
+                    '1. Click the padlock icon in your browser address bar\n' +
+                    '2. Allow microphone access\n' +
+                    '3. Or check System Preferences > Security & Privacy > Microphone (macOS)';
+            } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
+                errorDetails.userMessage = 'No microphone found. Please connect a microphone.';
+            } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
+                errorDetails.userMessage = 'Microphone is being used by another application. Please close other apps using the microphone.';
+            } else {
+                errorDetails.userMessage = error.message;
+            }
+
+            Logger.error('Failed to open microphone', errorDetails);
+            return { success: false, error: errorDetails };
+        }
+    },
+
+    // Plays an audio file (File/Blob or ArrayBuffer) into the pipeline; it's also audible so you can follow along
+    openFile: async function(file, { loop = false } = {}) {
+        this.createContext();
+        const data = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+        const audioBuffer = await this.audioContext.decodeAudioData(data);
+
+        const player = this.audioContext.createBufferSource();
+        player.buffer = audioBuffer;
+        player.loop = loop;
+        player.connect(this.audioContext.destination);
+        this.connectSource(player, 'file');
+        player.start();
+        return true;
+    },
+
+    // Steady tone with guitar-like harmonics (1/n amplitudes) - checks the pipeline without an instrument
+    openTestSignal: function(frequency, { harmonics = 6, gain = 0.3 } = {}) {
+        this.createContext();
+        const real = new Float32Array(harmonics + 1);
+        const imag = new Float32Array(harmonics + 1);
+        for (let n = 1; n <= harmonics; n++) imag[n] = 1 / n;
+
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.setPeriodicWave(this.audioContext.createPeriodicWave(real, imag));
+        oscillator.frequency.value = frequency;
+        const level = this.audioContext.createGain();
+        level.gain.value = gain;
+        oscillator.connect(level);
+        oscillator.start();
+        this.connectSource(level, 'signal');
+        this.oscillator = oscillator;
+        return true;
+    },
+
+    // Current frame of the open source (the same buffer is reused between calls)
+    readFrame: function() {
+        if (!this.analyser) return null;
+        this.analyser.getFloatTimeDomainData(this.dataArray);
+        return this.dataArray;
+    },
+
+    // listener(frame, sampleRate) runs on every frame until the returned function is called
+    onFrame: function(listener) {
+        this.frameListeners.push(listener);
+        if (!this.animationFrame) {
+            this.animationFrame = requestAnimationFrame(() => this.processFrame());
+        }
+        return () => {
+            this.frameListeners = this.frameListeners.filter(l => l !== listener);
+        };
+    },
+
+    processFrame: function() {
+        this.animationFrame = null;
+        if (this.frameListeners.length === 0) return;
+
+        const frame = this.readFrame();
+        if (frame) {
+            const sampleRate = this.getSampleRate();
+            // Copy - a listener may unsubscribe (and another subscribe) while we iterate
+            [...this.frameListeners].forEach(listener => listener(frame, sampleRate));
+        }
+        if (this.frameListeners.length > 0) {
+            this.animationFrame = requestAnimationFrame(() => this.processFrame());
+        }
+    },
+
+    // Starts off-main-thread analysis of the open source: pitch-worklet.js frames it on the audio thread and
+    // pitch-worker.js analyzes each frame over the given detection range (see PitchDetector.setFrequencyRange).
+    // Returns false where AudioWorklet or Worker isn't available
+    startAnalysis: async function({ minFrequency, maxFrequency } = {}) {
+        if (this.analysisWorker) return true;
+        if (!this.audioContext || !this.audioContext.audioWorklet || typeof Worker === 'undefined') {
+            return false;
+        }
+        try {
+            await this.audioContext.audioWorklet.addModule('pitch-worklet.js');
+            if (!this.source) return false; // Closed while the module loaded
+
+            this.workletNode = new AudioWorkletNode(this.audioContext, 'frame-processor', {
+                processorOptions: { frameSize: this.FFT_SIZE / 2, hop: this.ANALYSIS_HOP }
+            });
+            this.analysisWorker = new Worker('pitch-worker.js');
+
+            // Frames go from the audio thread to the worker directly
+            const channel = new MessageChannel();
+            this.workletNode.port.postMessage({ type: 'connect', port: channel.port1 }, [channel.port1]);
+            this.analysisWorker.postMessage({
+                type: 'connect',
+                port: channel.port2,
+                sampleRate: this.audioContext.sampleRate,
+                range: minFrequency && maxFrequency ? { min: minFrequency, max: maxFrequency } : null
+            }, [channel.port2]);
+            this.analysisWorker.onmessage = (event) => {
+                if (!this.audioContext) return; // Arrived after close
+                const result = { ...event.data, time: this.contextTimeToMs(event.data.time) };
+                [...this.analysisListeners].forEach(listener => listener(result));
+            };
+            this.analysisWorker.onerror = (event) => {
+                Logger.error('Pitch worker error', { error: event.message });
+            };
+
+            this.source.connect(this.workletNode);
+            // Silent output - the worklet only runs while it's connected to the destination
+            this.workletNode.connect(this.audioContext.destination);
+
+            Logger.info('Pitch analysis running in AudioWorklet + Worker', { hop: this.ANALYSIS_HOP });
+            return true;
+        } catch (error) {
+            Logger.warn('AudioWorklet analysis unavailable, using animation frames', { error: error.message });
+            this.stopAnalysis();
+            return false;
+        }
+    },
+
+    hasAnalysis: function() {
+        return !!this.analysisWorker;
+    },
+
+    // listener({ frequency, clarity, rms, time }) for every analyzed frame until the returned function is called.
+    // time = Date.now() time of the frame's last sample
+    onAnalysis: function(listener) {
+        this.analysisListeners.push(listener);
+        return () => {
+            this.analysisListeners = this.analysisListeners.filter(l => l !== listener);
+        };
+    },
+
+    // Audio context time (s) to Date.now() time (ms), the clock the beat windows use
+    contextTimeToMs: function(contextTime) {
+        return Date.now() - (this.audioContext.currentTime - contextTime) * 1000;
+    },
+
+    stopAnalysis: function() {
+        this.analysisListeners = [];
+        if (this.workletNode) {
+            try {
+                this.workletNode.disconnect();
+            } catch (e) {
+                // Already disconnected, ignore
+            }
+            this.workletNode = null;
+        }
+        if (this.analysisWorker) {
+            this.analysisWorker.terminate();
+            this.analysisWorker = null;
+        }
+    },
+
+    // Offline framing of recorded samples, matching the live frame size and rate: every `hop` samples
+    // like the worker (ANALYSIS_HOP), or framesPerSecond like requestAnimationFrame when no hop is given.
+    // listener(frame, sampleRate, time) with time = seconds at the frame's first sample
+    forEachFrame: function(samples, sampleRate, listener, { frameSize = this.FFT_SIZE / 2, hop = null, framesPerSecond = 60 } = {}) {
+        hop = hop || Math.round(sampleRate / framesPerSecond);
+        for (let start = 0; start + frameSize <= samples.length; start += hop) {
+            listener(samples.subarray(start, start + frameSize), sampleRate, start / sampleRate);
+        }
+    },
+
+    close: function() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.frameListeners = [];
+        this.stopAnalysis();
+
+        // Stop all tracks in the media stream first
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => {
+                try {
+                    if (track.readyState !== 'ended') {
+                        track.stop();
+                        Logger.debug('Stopped media stream track', { trackId: track.id, kind: track.kind });
+                    }
+                } catch (e) {
+                    Logger.debug('Track already stopped or error stopping track', { trackId: track.id, error: e.message });
+                }
+            });
+            this.mediaStream = null;
+        }
+
+        if (this.oscillator) {
+            try {
+                this.oscillator.stop();
+            } catch (e) {
+                // Already stopped, ignore
+            }
+            this.oscillator = null;
+        }
+
+        if (this.source) {
+            try {
+                this.source.disconnect();
+            } catch (e) {
+                // Already disconnected, ignore
+            }
+            Logger.info('Audio input closed', { source: this.sourceType });
+            this.source = null;
+            this.sourceType = null;
+        }
+
+        if (this.audioContext) {
+            if (this.audioContext.state !== 'closed') {
+                this.audioContext.close().catch(err => {
+                    Logger.warn('Error closing audio context', { error: err.message });
+                });
+            }
+            this.audioContext = null;
+        }
+
+        this.analyser = null;
+        this.dataArray = null;
+    }
+};
+
+// Allow loading from Node (tests/tools) as well as a plain <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioInput;
+}
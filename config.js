@@ -4,17 +4,47 @@
 
 const NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
+/**
+ * KEY SIGNATURES
+ * All 15 major keys (up to 7 sharps/flats); relative minors share their major's signature
+ */
 const KEY_SIGNATURES = {
     'C': [],
+    // Sharp keys
     'G': ['F#'],
-    'F': ['Bb'],
     'D': ['F#', 'C#'],
-    'Bb': ['Bb', 'Eb']
+    'A': ['F#', 'C#', 'G#'],
+    'E': ['F#', 'C#', 'G#', 'D#'],
+    'B': ['F#', 'C#', 'G#', 'D#', 'A#'],
+    'F#': ['F#', 'C#', 'G#', 'D#', 'A#', 'E#'],
+    'C#': ['F#', 'C#', 'G#', 'D#', 'A#', 'E#', 'B#'],
+    // Flat keys
+    'F': ['Bb'],
+    'Bb': ['Bb', 'Eb'],
+    'Eb': ['Bb', 'Eb', 'Ab'],
+    'Ab': ['Bb', 'Eb', 'Ab', 'Db'],
+    'Db': ['Bb', 'Eb', 'Ab', 'Db', 'Gb'],
+    'Gb': ['Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb'],
+    'Cb': ['Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb', 'Fb']
 };
 
+const RELATIVE_MINORS = {
+    'C': 'Am', 'G': 'Em', 'D': 'Bm', 'A': 'F#m', 'E': 'C#m', 'B': 'G#m', 'F#': 'D#m', 'C#': 'A#m',
+    'F': 'Dm', 'Bb': 'Gm', 'Eb': 'Cm', 'Ab': 'Fm', 'Db': 'Bbm', 'Gb': 'Ebm', 'Cb': 'Abm'
+};
+
+// Minor keys use the same names VexFlow expects for addKeySignature ('F#m', 'Bbm', ...)
+Object.keys(RELATIVE_MINORS).forEach(major => {
+    KEY_SIGNATURES[RELATIVE_MINORS[major]] = KEY_SIGNATURES[major];
+});
+
+const LETTER_SEMITONES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+const ACCIDENTAL_SEMITONES = { '': 0, 'n': 0, '#': 1, '##': 2, 'b': -1, 'bb': -2 };
+
 /**
  * PROGRESSION DEFINITIONS
- * Standard Center-Out learning path for Treble and Bass
+ * Standard Center-Out learning path for Treble, Bass, Alto and Tenor,
+ * followed by ledger-line stages and ottava stages (see OTTAVA_LIMITS)
  */
 const PROGRESSION = {
     'treble': [
@@ -24,7 +54,12 @@ const PROGRESSION = {
         {n:'F', o:4}, {n:'G', o:4}, 
         {n:'A', o:4}, {n:'B', o:4}, {n:'C', o:5}, // High C
         {n:'A', o:3}, {n:'G', o:3}, // Lower
-        {n:'D', o:5}, {n:'E', o:5}, {n:'F', o:5}
+        {n:'D', o:5}, {n:'E', o:5}, {n:'F', o:5},
+        // Above the staff (G5 just over the top line, A5 to C6 on ledger lines)
+        {n:'G', o:5}, {n:'A', o:5}, {n:'B', o:5}, {n:'C', o:6},
+        // 8va (written an octave lower)
+        {n:'D', o:6}, {n:'E', o:6}, {n:'F', o:6}, {n:'G', o:6},
+        {n:'A', o:6}, {n:'B', o:6}, {n:'C', o:7}
     ],
     'bass': [
         {n:'C', o:3}, // Middle C (Bass is below usually, but let's start C3)
@@ -32,19 +67,217 @@ const PROGRESSION = {
         {n:'D', o:3}, // Up
         {n:'G', o:2}, {n:'F', o:2},
         {n:'E', o:3}, {n:'F', o:3},
-        {n:'E', o:2}, {n:'D', o:2}, {n:'C', o:2} // Low C
+        {n:'E', o:2}, {n:'D', o:2}, {n:'C', o:2}, // Low C
+        // Top of the staff (G3 and A3), then above it (B3, C4 on a ledger line)
+        {n:'G', o:3}, {n:'A', o:3}, {n:'B', o:3}, {n:'C', o:4},
+        // 8vb (written an octave higher)
+        {n:'B', o:1}, {n:'A', o:1}, {n:'G', o:1}, {n:'F', o:1},
+        {n:'E', o:1}, {n:'D', o:1}, {n:'C', o:1}
+    ],
+    'alto': [
+        {n:'C', o:4}, // Middle C (middle line)
+        {n:'D', o:4}, {n:'B', o:3}, // Neighbours
+        {n:'E', o:4}, {n:'A', o:3},
+        {n:'F', o:4}, {n:'G', o:3},
+        {n:'G', o:4}, {n:'F', o:3}, // Outer lines
+        {n:'A', o:4}, {n:'E', o:3},
+        // Ledger lines
+        {n:'B', o:4}, {n:'D', o:3}, {n:'C', o:5}, {n:'C', o:3}, {n:'D', o:5}
+    ],
+    'tenor': [
+        {n:'C', o:4}, // Middle C (4th line)
+        {n:'B', o:3}, {n:'D', o:4}, // Neighbours
+        {n:'A', o:3}, {n:'E', o:4}, // Top line
+        {n:'G', o:3}, {n:'F', o:3},
+        {n:'E', o:3}, {n:'D', o:3}, // Bottom line
+        {n:'F', o:4}, {n:'G', o:4},
+        // Ledger lines
+        {n:'C', o:3}, {n:'A', o:4}, {n:'B', o:2}, {n:'B', o:4}, {n:'A', o:2}
     ]
 };
 
+// Display names for the settings checkboxes and the stats header
+const CLEF_LABELS = {
+    'treble': 'Treble',
+    'bass': 'Bass',
+    'alto': 'Alto',
+    'tenor': 'Tenor'
+};
+
+// Staves of the grand staff, top to bottom
+const GRAND_STAFF_CLEFS = ['treble', 'bass'];
+
+// Where rests sit on each clef (middle line)
+const REST_POSITIONS = { 'treble': 'b/4', 'bass': 'd/3', 'alto': 'c/4', 'tenor': 'a/3' };
+
+// Rhythm rounds in microphone mode: an onset within this share of a beat from the grid is in time
+const ONSET_TOLERANCE_BEATS = 0.25;
+
+// Microphone notes are stamped with their onset but arrive later (worker analysis) - a window is only
+// graded as missed once an onset stamped before it closed can no longer be on its way
+const NOTE_EVENT_DELAY_MS = 100;
+
+// Microphone notes below this NoteTracker confidence (clarity x agreement during the attack) are ignored
+const MIN_NOTE_CONFIDENCE = 0.4;
+
+// Notes past these limits are written an octave towards the staff under an 8va / 8vb line
+const OTTAVA_LIMITS = {
+    'treble': { above: {n:'C', o:6} },
+    'bass': { below: {n:'C', o:2} }
+};
+
+// Octave shift used to write a note: 1 = 8va (written lower), -1 = 8vb (written higher), 0 = as sounding
+function getOttava(clef, note, octave) {
+    const limits = OTTAVA_LIMITS[clef];
+    if (!limits) return 0;
+    const pos = getSemitone(note.charAt(0), octave);
+    if (limits.above && pos > getSemitone(limits.above.n, limits.above.o)) return 1;
+    if (limits.below && pos < getSemitone(limits.below.n, limits.below.o)) return -1;
+    return 0;
+}
+
+// Semitones above C0 for a spelled note: getSemitone('Eb', 4) or getSemitone('E', 4, 'b')
+// The octave belongs to the letter, so Cb4 sounds as B3 and B#3 as C4
+function getSemitone(note, octave, accidental = null) {
+    const letter = note.charAt(0).toUpperCase();
+    const acc = note.slice(1) + (accidental || '');
+    return (octave * 12) + LETTER_SEMITONES[letter] + (ACCIDENTAL_SEMITONES[acc] || 0);
+}
+
+// Accidental the key signature applies to a letter ('#', 'b' or null)
+function getKeyAccidental(keySig, letter) {
+    const mod = (KEY_SIGNATURES[keySig] || []).find(m => m.charAt(0) === letter);
+    return mod ? mod.slice(1) : null;
+}
+
+// Accidental that has to be drawn for a note in a key, or null when the signature already implies it
+function getVisualAccidental(keySig, letter, accidental) {
+    const implied = getKeyAccidental(keySig, letter);
+    const actual = accidental && accidental !== 'n' ? accidental : null;
+    if (actual === implied) return null;
+    return actual || 'n';
+}
+
+// Alterations that move a note off the key signature by a semitone ('n' = natural)
+function getChromaticAlterations(keyAccidental) {
+    if (keyAccidental === '#') return ['n', '##'];
+    if (keyAccidental === 'b') return ['n', 'bb'];
+    return ['#', 'b'];
+}
+
 function getFrequency(note, octave) {
-    const noteIndex = NOTES.indexOf(note);
-    const absNote = (octave * 12) + noteIndex;
+    const absNote = getSemitone(note, octave);
     const absA4 = (4 * 12) + 9;
     return 440 * Math.pow(2, (absNote - absA4) / 12);
 }
 
-// Minimum consecutive correct answers required per note before progression
-const REQUIRED_STREAK_PER_NOTE = 20;
+// Lowest and highest frequency (Hz) any clef's progression asks for, a whole tone either side for
+// accidentals - the microphone's detection range (PitchDetector.setFrequencyRange)
+function getProgressionFrequencyRange() {
+    const positions = [].concat(...Object.values(PROGRESSION)).map(p => getSemitone(p.n, p.o));
+    const toFrequency = pos => 440 * Math.pow(2, (pos - 57) / 12); // 57 = A4
+    return {
+        min: Math.floor(toFrequency(Math.min(...positions) - 2)),
+        max: Math.ceil(toFrequency(Math.max(...positions) + 2))
+    };
+}
+
+/**
+ * INTERVALS & CHORDS
+ * Intervals are spelled by letter steps so every tone gets the correct name (C-E# is an A3, not a P4)
+ */
+const INTERVALS = {
+    'P1': { steps: 0, semitones: 0, name: 'Unison' },
+    'm2': { steps: 1, semitones: 1, name: 'Minor 2nd' },
+    'M2': { steps: 1, semitones: 2, name: 'Major 2nd' },
+    'm3': { steps: 2, semitones: 3, name: 'Minor 3rd' },
+    'M3': { steps: 2, semitones: 4, name: 'Major 3rd' },
+    'P4': { steps: 3, semitones: 5, name: 'Perfect 4th' },
+    'A4': { steps: 3, semitones: 6, name: 'Augmented 4th' },
+    'd5': { steps: 4, semitones: 6, name: 'Diminished 5th' },
+    'P5': { steps: 4, semitones: 7, name: 'Perfect 5th' },
+    'A5': { steps: 4, semitones: 8, name: 'Augmented 5th' },
+    'm6': { steps: 5, semitones: 8, name: 'Minor 6th' },
+    'M6': { steps: 5, semitones: 9, name: 'Major 6th' },
+    'd7': { steps: 6, semitones: 9, name: 'Diminished 7th' },
+    'm7': { steps: 6, semitones: 10, name: 'Minor 7th' },
+    'M7': { steps: 6, semitones: 11, name: 'Major 7th' },
+    'P8': { steps: 7, semitones: 12, name: 'Octave' }
+};
+
+// Intervals drilled as harmonic (two-note) cards, easiest first
+const INTERVAL_DRILL = ['M3', 'P5', 'm3', 'P8', 'P4', 'M2', 'M6', 'm6', 'm2', 'm7', 'M7', 'A4'];
+
+// Chord tones as intervals above the root, easiest first
+const CHORD_TYPES = {
+    'maj': { name: 'major', tones: ['P1', 'M3', 'P5'] },
+    'min': { name: 'minor', tones: ['P1', 'm3', 'P5'] },
+    'dim': { name: 'diminished', tones: ['P1', 'm3', 'd5'] },
+    'aug': { name: 'augmented', tones: ['P1', 'M3', 'A5'] },
+    'dom7': { name: 'dominant 7th', tones: ['P1', 'M3', 'P5', 'm7'] },
+    'maj7': { name: 'major 7th', tones: ['P1', 'M3', 'P5', 'M7'] },
+    'min7': { name: 'minor 7th', tones: ['P1', 'm3', 'P5', 'm7'] },
+    'm7b5': { name: 'half-diminished 7th', tones: ['P1', 'm3', 'd5', 'm7'] },
+    'dim7': { name: 'diminished 7th', tones: ['P1', 'm3', 'd5', 'd7'] }
+};
+
+const INVERSION_NAMES = ['root position', 'first inversion', 'second inversion', 'third inversion'];
+
+// Tone an interval above a spelled note ({ note, octave, accidental }), or null if it needs more than a double accidental
+function spellInterval(root, intervalCode) {
+    const interval = INTERVALS[intervalCode];
+    const letters = Object.keys(LETTER_SEMITONES);
+    const index = letters.indexOf(root.note) + interval.steps;
+    const note = letters[index % 7];
+    const octave = root.octave + Math.floor(index / 7);
+    const offset = getSemitone(root.note, root.octave, root.accidental) + interval.semitones - getSemitone(note, octave);
+    const accidental = Object.keys(ACCIDENTAL_SEMITONES).find(acc => acc !== 'n' && ACCIDENTAL_SEMITONES[acc] === offset);
+    if (accidental === undefined) return null;
+    return { note, octave, accidental: accidental || null };
+}
+
+// Ascending chord tones for a root, interval list and inversion (the lowest tones move up an octave)
+function buildChordTones(root, intervalCodes, inversion = 0) {
+    const tones = intervalCodes.map(code => spellInterval(root, code));
+    if (tones.includes(null)) return null;
+    return tones.slice(inversion).concat(tones.slice(0, inversion).map(t => ({ ...t, octave: t.octave + 1 })));
+}
+
+// Every tone a card asks for - single-note cards have no `tones` array
+function getCardTones(card) {
+    return card.tones || [{ note: card.note, octave: card.octave, accidental: card.accidental }];
+}
+
+// Ottava for a whole card: a chord goes under 8va/8vb as soon as one of its tones does
+function getCardOttava(card) {
+    const shifts = getCardTones(card).map(t => getOttava(card.clef, t.note, t.octave));
+    if (Math.max(...shifts) > 0) return 1;
+    if (Math.min(...shifts) < 0) return -1;
+    return 0;
+}
+
+// Default progression rules - learners/teachers can override these in Settings
+const DEFAULT_PROGRESSION_RULES = {
+    mastery: 'streak',          // 'streak' = consecutive correct answers | 'accuracy' = accuracy over a window
+    requiredStreak: 20,         // Consecutive correct answers per note ('streak' mastery)
+    minAccuracy: 0.9,           // Accuracy per note over the window ('accuracy' mastery)
+    accuracyWindow: 20,         // Most recent attempts per note considered for accuracy
+    maxMedianMs: 0,             // Median correct response per note must be at or below this (0 = no speed requirement)
+    minUnlocked: 3,             // Notes unlocked at the start; regression never goes below this
+    regressionThreshold: 0.5    // Regress when more than this share of unlocked notes is not ready
+};
+
+// Adaptive speed targets: an answer is "fast" when it beats the learner's own
+// percentile for the input mode (blended with the note's own percentile once it has enough samples)
+const SPEED_TARGETS = {
+    percentile: 0.6,
+    minSamples: 10,       // Samples needed before a distribution replaces the default
+    modeWindow: 100,      // Rolling window of correct response times per input mode
+    itemWindow: 20,       // Rolling window per note per input mode
+    minMs: 500,
+    maxMs: 8000,
+    defaultMs: { piano: 2500, buttons: 2500, microphone: 4000 }
+};
 
 // Pitch detection algorithm configuration
 // Options: 'autocorrelation' | 'pitchfinder-yin' | 'pitchfinder-amdf' | 'pitchfinder-macleod' | 'pitchy'
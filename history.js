@@ -0,0 +1,140 @@
+/**
+ * ATTEMPT HISTORY
+ * One record per answer: { t, id, clef, correct, ms, mode }
+ *   t = timestamp, id = SRS item id, ms = response time, mode = input mode
+ * Aggregations are pure (records + `now` in, plain data out) so the dashboard can be checked from Node
+ */
+const AttemptHistory = {
+    DAY_MS: 24 * 60 * 60 * 1000,
+    PRACTICE_GAP_MS: 60 * 1000, // Longer pauses between answers don't count as practice time
+
+    // Records are persisted by AppStorage (appended one at a time)
+    load: function() {
+        return AppStorage.getAttempts();
+    },
+
+    record: function(attempt) {
+        AppStorage.addAttempt({
+            t: attempt.t || Date.now(),
+            id: attempt.id,
+            clef: attempt.clef,
+            correct: !!attempt.correct,
+            ms: Math.round(attempt.ms),
+            mode: attempt.mode
+        });
+    },
+
+    clear: function() {
+        AppStorage.clearAttempts();
+    },
+
+    // Local midnight of the day containing t
+    startOfDay: function(t) {
+        const d = new Date(t);
+        d.setHours(0, 0, 0, 0);
+        return d.getTime();
+    },
+
+    // Monday of the week containing t
+    startOfWeek: function(t) {
+        const d = new Date(this.startOfDay(t));
+        d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+        return d.getTime();
+    },
+
+    median: function(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    },
+
+    // Accuracy and median correct-answer time per day or week for the last `count` buckets.
+    // ids = null covers every item. Returns [{ start, attempts, accuracy, medianMs }] oldest first
+    // (accuracy/medianMs are null for buckets without attempts)
+    trend: function(records, ids, unit, count, now) {
+        const bucketOf = unit === 'week' ? t => this.startOfWeek(t) : t => this.startOfDay(t);
+        const buckets = [];
+        let start = bucketOf(now);
+        for (let i = 0; i < count; i++) {
+            buckets.unshift({ start, attempts: 0, correct: 0, times: [] });
+            // Step back through a date so DST days stay aligned to midnight
+            const d = new Date(start);
+            d.setDate(d.getDate() - (unit === 'week' ? 7 : 1));
+            start = d.getTime();
+        }
+        const byStart = new Map(buckets.map(b => [b.start, b]));
+        const wanted = ids ? new Set(ids) : null;
+
+        records.forEach(r => {
+            if (wanted && !wanted.has(r.id)) return;
+            const bucket = byStart.get(bucketOf(r.t));
+            if (!bucket) return;
+            bucket.attempts++;
+            if (r.correct) {
+                bucket.correct++;
+                bucket.times.push(r.ms);
+            }
+        });
+
+        return buckets.map(b => ({
+            start: b.start,
+            attempts: b.attempts,
+            accuracy: b.attempts ? b.correct / b.attempts : null,
+            medianMs: this.median(b.times)
+        }));
+    },
+
+    // Practice time per day (ms): gaps between consecutive answers, each capped at PRACTICE_GAP_MS.
+    // Returns { [dayStart]: ms }
+    practiceByDay: function(records) {
+        const days = {};
+        let prev = null;
+        records.forEach(r => {
+            const day = this.startOfDay(r.t);
+            const gap = prev === null ? r.ms : Math.min(r.t - prev, this.PRACTICE_GAP_MS);
+            days[day] = (days[day] || 0) + Math.max(0, gap);
+            prev = r.t;
+        });
+        return days;
+    },
+
+    // Staff position (letter + octave) of a single-note item id, or null for intervals/chords
+    parseNoteId: function(id) {
+        const match = /^[a-z]+-([A-G])(?:bb|##|b|#|n)?(-?\d)$/.exec(id);
+        return match ? { note: match[1], octave: parseInt(match[2], 10) } : null;
+    },
+
+    // Accuracy and median time per letter x octave for one clef, from each position's last `window` attempts.
+    // Returns { octaves: [...], cells: { 'C4': { attempts, accuracy, medianMs } } }
+    masteryGrid: function(records, clef, window = 20) {
+        const byCell = {};
+        records.forEach(r => {
+            if (r.clef !== clef) return;
+            const pos = this.parseNoteId(r.id);
+            if (!pos) return;
+            const key = pos.note + pos.octave;
+            (byCell[key] = byCell[key] || []).push(r);
+        });
+
+        const cells = {};
+        const octaves = new Set();
+        Object.keys(byCell).forEach(key => {
+            const recent = byCell[key].slice(-window);
+            const correct = recent.filter(r => r.correct);
+            cells[key] = {
+                attempts: recent.length,
+                accuracy: correct.length / recent.length,
+                medianMs: this.median(correct.map(r => r.ms))
+            };
+            octaves.add(parseInt(key.slice(1), 10));
+        });
+
+        return { octaves: [...octaves].sort((a, b) => a - b), cells };
+    }
+};
+
+// Allow loading from Node (tests/tools) as well as a plain <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttemptHistory;
+}
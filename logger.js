@@ -75,3 +75,7 @@ const Logger = {
     }
 };
 
+// Allow loading from Node (tests/tools) as well as a plain <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Logger;
+}
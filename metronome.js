@@ -9,6 +9,7 @@ const Metronome = {
     beatCallback: null,
     currentBeat: 0,
     beatsPerMeasure: 4,
+    startTime: 0, // Date.now() of the first beat - later beats fall on this grid
 
     start: function(callback) {
         if (this.isRunning) return;
@@ -16,6 +17,7 @@ const Metronome = {
         this.beatCallback = callback;
         this.isRunning = true;
         this.currentBeat = 0;
+        this.startTime = Date.now();
         
         // Trigger first beat immediately
         if (this.beatCallback) {
@@ -61,6 +63,14 @@ const Metronome = {
         this.beatsPerMeasure = Math.max(2, Math.min(8, beats)); // Clamp between 2-8
     },
 
+    // Time of the next beat (or next downbeat) at or after `now` on the start-time grid
+    getNextBeatTime: function(now = Date.now(), downbeat = false) {
+        if (!this.isRunning) return now;
+        const beatInterval = (60 / this.tempo) * 1000;
+        const step = downbeat ? beatInterval * this.beatsPerMeasure : beatInterval;
+        return this.startTime + Math.ceil((now - this.startTime) / step) * step;
+    },
+
     getTimeUntilNextBeat: function() {
         if (!this.isRunning) return 0;
         const beatInterval = (60 / this.tempo) * 1000;
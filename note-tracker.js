@@ -0,0 +1,144 @@
+/**
+ * NOTE TRACKER
+ * Turns per-frame pitch estimates into one event per played note.
+ * An attack is an energy onset (RMS jumps over the recent floor) or a new pitch that holds for a few
+ * frames (legato, hammer-ons, slides); the pitch is confirmed once STABLE_FRAMES frames agree on the semitone.
+ * Ringing strings don't re-trigger, and re-picking the same note does.
+ *   push({ frequency, clarity, rms, time }) per frame, time in ms
+ *   onNote({ midi, frequency, confidence, time, duration }) once per attack, time = onset,
+ *     duration = 0 (provisional - the note is still sounding)
+ *   onNoteEnd(sameEvent) when it stops sounding, with its final duration (set on the same object)
+ *   pendingTime() = onset of an attack still waiting for its pitch (its onNote time), or null
+ * Pure - no Web Audio, so recorded frames can be run through it from Node
+ */
+const NoteTracker = {
+    MIN_RMS: 0.01, // Quieter frames never start a note (room noise, fret buzz)
+    ONSET_RISE: 1.5, // Energy over the quietest of the last FLOOR_FRAMES frames that counts as an attack
+    FLOOR_FRAMES: 3,
+    ONSET_REFRACTORY_MS: 60, // One attack can rise over several frames - ignore further onsets this soon
+    STABLE_FRAMES: 3, // Consecutive frames on the same semitone that confirm the pitch
+    MAX_SETTLE_MS: 200, // Attacks without a confirmed pitch by then fall back to the majority (or are dropped)
+    RELEASE_RATIO: 0.1, // Note ends when its energy falls below this share of its peak...
+    RELEASE_FRAMES: 4, // ...or after this many frames without its pitch
+
+    frequencyToMidi: function(frequency) {
+        return Math.round(69 + 12 * Math.log2(frequency / 440));
+    },
+
+    create: function({ onNote = () => {}, onNoteEnd = () => {} } = {}) {
+        const T = this;
+        let recentRms = []; // Last FLOOR_FRAMES frames, before the current one
+        let lastOnset = -Infinity;
+        let pending = null; // Attack waiting for a stable pitch: { time, frames }
+        let current = null; // Sounding note event
+        let run = []; // Consecutive frames on one semitone
+        let missing = 0; // Frames in a row without the current note's pitch
+        let released = null; // Semitone of the note that just ended - only a new attack repeats it
+
+        const median = (values) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return sorted[Math.floor(sorted.length / 2)];
+        };
+
+        const end = (time) => {
+            if (!current) return;
+            current.duration = Math.max(0, time - current.time);
+            const ended = current;
+            released = current.midi;
+            current = null;
+            onNoteEnd(ended);
+        };
+
+        // frames = everything seen since the attack; the note is the semitone `midi` among them
+        const start = (midi, time, frames, peak) => {
+            const pitched = frames.filter(f => f.midi !== null);
+            const matching = pitched.filter(f => f.midi === midi);
+            const clarity = matching.reduce((sum, f) => sum + (f.clarity === null ? 1 : f.clarity), 0) / matching.length;
+            current = {
+                midi,
+                frequency: median(matching.map(f => f.frequency)),
+                confidence: Math.round(clarity * (matching.length / pitched.length) * 100) / 100,
+                time,
+                duration: 0,
+                peak
+            };
+            missing = 0;
+            onNote(current);
+        };
+
+        return {
+            push: function({ frequency, clarity = null, rms, time }) {
+                const midi = frequency > 0 ? T.frequencyToMidi(frequency) : null;
+                const frame = { midi, frequency, clarity, rms, time };
+                const floor = recentRms.length > 0 ? Math.min(...recentRms) : 0;
+                recentRms = [...recentRms, rms].slice(-T.FLOOR_FRAMES);
+
+                run = midi !== null && run.length > 0 && run[0].midi === midi ? [...run, frame] : (midi !== null ? [frame] : []);
+
+                const isOnset = rms >= T.MIN_RMS && rms > floor * T.ONSET_RISE && time - lastOnset >= T.ONSET_REFRACTORY_MS;
+                if (isOnset && !pending) {
+                    end(time);
+                    released = null;
+                    lastOnset = time;
+                    pending = { time, frames: [] };
+                    run = midi !== null ? [frame] : [];
+                }
+
+                if (pending) {
+                    pending.frames.push(frame);
+                    const peak = Math.max(...pending.frames.map(f => f.rms));
+                    if (run.length >= T.STABLE_FRAMES) {
+                        start(run[0].midi, pending.time, pending.frames, peak);
+                        pending = null;
+                    } else if (time - pending.time > T.MAX_SETTLE_MS) {
+                        // No steady pitch - take the semitone most frames agree on, if at least two do
+                        const counts = {};
+                        pending.frames.filter(f => f.midi !== null).forEach(f => { counts[f.midi] = (counts[f.midi] || 0) + 1; });
+                        const best = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+                        if (best !== undefined && counts[best] >= 2) {
+                            start(Number(best), pending.time, pending.frames, peak);
+                        }
+                        pending = null;
+                    }
+                    return;
+                }
+
+                if (current) {
+                    current.peak = Math.max(current.peak, rms);
+                    missing = midi === current.midi ? 0 : missing + 1;
+                    if (rms < current.peak * T.RELEASE_RATIO || missing >= T.RELEASE_FRAMES) {
+                        end(time);
+                    }
+                }
+
+                // A new pitch that holds without an attack of its own (legato), or a note that faded in
+                const sounding = current ? current.midi : released;
+                if (run.length >= T.STABLE_FRAMES && run[0].midi !== sounding && run[0].rms >= T.MIN_RMS) {
+                    end(run[0].time);
+                    start(run[0].midi, run[0].time, run, Math.max(...run.map(f => f.rms)));
+                    run = [];
+                }
+            },
+
+            // An event stamped this early may still come - the pitch is confirmed STABLE_FRAMES frames
+            // (or up to MAX_SETTLE_MS) after the attack
+            pendingTime: function() {
+                if (pending) return pending.time;
+                const sounding = current ? current.midi : released;
+                if (run.length > 0 && run[0].midi !== sounding && run[0].rms >= T.MIN_RMS) return run[0].time;
+                return null;
+            },
+
+            // Ends the sounding note (e.g. when listening stops)
+            flush: function(time) {
+                pending = null;
+                end(time);
+            }
+        };
+    }
+};
+
+// Allow loading from Node (tests/tools) as well as a plain <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoteTracker;
+}
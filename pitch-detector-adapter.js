@@ -11,16 +11,13 @@ const PitchDetectorAdapter = {
     // Current implementation being used
     currentImplementation: null,
     implementations: {},
+    frameDetector: null, // currentImplementation's detector for the open source's sample rate
     
     // Configuration
     config: {
         // 'autocorrelation' | 'pitchfinder-yin' | 'pitchfinder-amdf' | 'pitchfinder-macleod' | 'pitchy'
+        // The saved choice (AppStorage 'pitchAlgorithm') is applied by App when the microphone starts
         algorithm: (() => {
-            // Check localStorage first, then config, then default
-            if (typeof localStorage !== 'undefined') {
-                const saved = localStorage.getItem('pitchDetectionAlgorithm');
-                if (saved) return saved;
-            }
             if (typeof PITCH_DETECTION_ALGORITHM !== 'undefined') {
                 return PITCH_DETECTION_ALGORITHM;
             }
@@ -47,7 +44,7 @@ const PitchDetectorAdapter = {
         
         // Load Pitchfinder implementations (only if available)
         try {
-            const { PitchFinder } = await import('pitchfinder');
+            const PitchFinder = await this.importPitchfinder();
             if (PitchFinder && PitchFinder.YIN) {
                 this.implementations['pitchfinder-yin'] = await this.loadPitchfinder('YIN');
                 this.implementations['pitchfinder-amdf'] = await this.loadPitchfinder('AMDF');
@@ -76,40 +73,32 @@ const PitchDetectorAdapter = {
         }
     },
     
+    // pitchfinder's exports moved between versions (named PitchFinder, default, or the module itself)
+    importPitchfinder: async function() {
+        const pitchfinderModule = await import('pitchfinder');
+        return pitchfinderModule.PitchFinder || pitchfinderModule.default?.PitchFinder ||
+            pitchfinderModule.default || pitchfinderModule;
+    },
+
+    // Frame detector for offline use: (Float32Array) => frequency in Hz, or -1.
+    // Same algorithm as live listening, without any audio input (see tools/pitch-benchmark.js)
+    createDetector: function(algorithmName, sampleRate) {
+        const implementation = this.implementations[algorithmName];
+        if (!implementation || !implementation.createDetector) {
+            throw new Error(`Algorithm not available: ${algorithmName}`);
+        }
+        return implementation.createDetector(sampleRate);
+    },
+
+    // Implementations are frame detectors only: createDetector(sampleRate) => (frame) => Hz or -1.
+    // Audio input and the frame loop are shared (AudioInput, PitchDetector.startListening)
+
     // Load autocorrelation implementation (existing)
     loadAutocorrelation: async function() {
         return {
             name: 'Autocorrelation',
-            init: async () => {
-                return await PitchDetector.init();
-            },
-            startListening: (callback) => {
-                return PitchDetector.startListening(callback);
-            },
-            stopListening: () => {
-                PitchDetector.stopListening();
-            },
-            cleanup: () => {
-                PitchDetector.cleanup();
-            },
-            getSampleRate: () => {
-                return PitchDetector.audioContext ? PitchDetector.audioContext.sampleRate : 44100;
-            },
-            // Expose properties from PitchDetector for calibration mode
-            get analyser() {
-                return PitchDetector.analyser;
-            },
-            get dataArray() {
-                return PitchDetector.dataArray;
-            },
-            get audioContext() {
-                return PitchDetector.audioContext;
-            },
-            get detector() {
-                // For pitchfinder compatibility - return autocorrelate function
-                return (buffer, sampleRate) => {
-                    return PitchDetector.autocorrelate ? PitchDetector.autocorrelate(buffer, sampleRate) : -1;
-                };
+            createDetector: (sampleRate) => {
+                return (buffer) => PitchDetector.autocorrelate(buffer, sampleRate);
             }
         };
     },
@@ -119,8 +108,7 @@ const PitchDetectorAdapter = {
         // Dynamically import pitchfinder (should already be imported, but handle if not)
         let PitchFinder;
         try {
-            const pitchfinderModule = await import('pitchfinder');
-            PitchFinder = pitchfinderModule.PitchFinder || pitchfinderModule.default?.PitchFinder || pitchfinderModule.default;
+            PitchFinder = await this.importPitchfinder();
         } catch (error) {
             Logger.error('Failed to import pitchfinder', { error: error.message });
             throw new Error(`Failed to load pitchfinder library: ${error.message}`);
@@ -130,171 +118,30 @@ const PitchDetectorAdapter = {
             throw new Error('PitchFinder is undefined after import');
         }
         
-        let detector;
-        switch(algorithmName) {
-            case 'YIN':
-                if (!PitchFinder.YIN) {
-                    throw new Error('PitchFinder.YIN is not available');
-                }
-                detector = PitchFinder.YIN({ sampleRate: 44100 });
-                break;
-            case 'AMDF':
-                if (!PitchFinder.AMDF) {
-                    throw new Error('PitchFinder.AMDF is not available');
-                }
-                detector = PitchFinder.AMDF({ sampleRate: 44100 });
-                break;
-            case 'MacLeod':
-                if (!PitchFinder.MacLeod) {
-                    throw new Error('PitchFinder.MacLeod is not available');
-                }
-                detector = PitchFinder.MacLeod({ sampleRate: 44100 });
-                break;
-            default:
-                throw new Error(`Unknown Pitchfinder algorithm: ${algorithmName}`);
-        }
-        
-        if (!detector) {
-            throw new Error(`Failed to create ${algorithmName} detector`);
+        // pitchfinder spells it "Macleod"
+        const factory = algorithmName === 'MacLeod'
+            ? (PitchFinder.Macleod || PitchFinder.MacLeod)
+            : PitchFinder[algorithmName];
+        if (!factory) {
+            throw new Error(`PitchFinder.${algorithmName} is not available`);
         }
-        
-        const algoName = algorithmName; // Capture for closure
+
         return {
             name: `Pitchfinder ${algorithmName}`,
-            algorithmName: algoName, // Store for logging
-            detector: detector,
-            audioContext: null,
-            analyser: null,
-            microphone: null,
-            mediaStream: null, // Store MediaStream reference for cleanup
-            dataArray: null,
-            isListening: false,
-            animationFrame: null,
-            init: async function() {
-                try {
-                    // Check if getUserMedia is available
-                    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-                        const errorMsg = 'getUserMedia is not supported in this browser.';
-                        Logger.error('getUserMedia not available', { 
-                            hasMediaDevices: !!navigator.mediaDevices,
-                            protocol: window.location.protocol,
-                            hostname: window.location.hostname,
-                            isSecureContext: window.isSecureContext
-                        });
-                        throw new Error(errorMsg);
-                    }
-
-                    // Note: Browsers allow localhost (127.0.0.1) over HTTP as a secure context exception
-                    // We don't need to check isSecureContext - let the browser handle it
-
-                    // Clean up any existing stream/context first
-                    this.cleanup();
-                    
-                    const stream = await navigator.mediaDevices.getUserMedia({ 
-                        audio: {
-                            echoCancellation: false,
-                            noiseSuppression: false,
-                            autoGainControl: false
-                        } 
-                    });
-                    
-                    // Store stream reference for cleanup
-                    this.mediaStream = stream;
-                    
-                    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                    this.analyser = this.audioContext.createAnalyser();
-                    this.analyser.fftSize = 4096;
-                    this.analyser.smoothingTimeConstant = 0.3;
-                    
-                    this.microphone = this.audioContext.createMediaStreamSource(stream);
-                    this.microphone.connect(this.analyser);
-                    
-                    const bufferLength = this.analyser.frequencyBinCount;
-                    this.dataArray = new Float32Array(bufferLength);
-                    
-                    Logger.info('Pitchfinder initialized', { algorithm: this.algorithmName });
-                    return true;
-                } catch (error) {
-                    let errorDetails = {
-                        error: error.message,
-                        name: error.name,
-                        protocol: window.location.protocol,
-                        hostname: window.location.hostname,
-                        isSecureContext: window.isSecureContext
-                    };
-
-                    // Provide specific error messages
-                    if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-                        errorDetails.userMessage = 'Microphone permission denied. Please:\n' +
-                            '1. Click the padlock icon in your browser address bar\n' +
-                            '2. Allow microphone access\n' +
-                            '3. Or check System Preferences > Security & Privacy > Microphone (macOS)';
-                    } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
-                        errorDetails.userMessage = 'No microphone found. Please connect a microphone.';
-                    } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
-                        errorDetails.userMessage = 'Microphone is being used by another application. Please close other apps using the microphone.';
-                    } else {
-                        errorDetails.userMessage = error.message;
-                    }
-
-                    Logger.error('Failed to initialize Pitchfinder', errorDetails);
-                    return { success: false, error: errorDetails };
-                }
-            },
-            startListening: function(callback) {
-                if (!this.analyser) {
-                    Logger.error('Pitchfinder not initialized', { algorithm: this.algorithmName });
-                    return false;
-                }
-                
-                // Don't log startListening - too verbose
-                
-                this.isListening = true;
-                const self = this;
-                let detectionCount = 0;
-                
-                const processAudio = () => {
-                    if (!self.isListening) return;
-                    
-                    self.analyser.getFloatTimeDomainData(self.dataArray);
-                    
-                    const pitch = self.detector(self.dataArray);
-                    
-                    if (pitch && pitch > 0) {
-                        detectionCount++;
-                        
-                        // Convert frequency to note
-                        const note = PitchDetector.frequencyToNote(pitch);
-                        if (note) {
-                            // Don't log every detection - too spammy
-                            callback(note, pitch);
-                        }
+            algorithmName: algorithmName, // Store for logging
+            // MacLeod returns { freq, probability } and needs the frame length up front; the others return Hz or null
+            createDetector: (sampleRate) => {
+                let detector = null;
+                let frameLength = 0;
+                return (buffer) => {
+                    if (!detector || buffer.length !== frameLength) {
+                        frameLength = buffer.length;
+                        detector = factory({ sampleRate, bufferSize: frameLength });
                     }
-                    
-                    self.animationFrame = requestAnimationFrame(processAudio);
+                    const result = detector(buffer);
+                    const pitch = result && typeof result === 'object' ? result.freq : result;
+                    return pitch > 0 ? pitch : -1;
                 };
-                
-                processAudio();
-                return true;
-            },
-            stopListening: function() {
-                this.isListening = false;
-                if (this.animationFrame) {
-                    cancelAnimationFrame(this.animationFrame);
-                    this.animationFrame = null;
-                }
-            },
-            cleanup: function() {
-                this.stopListening();
-                if (this.microphone) {
-                    this.microphone.disconnect();
-                }
-                if (this.audioContext) {
-                    this.audioContext.close();
-                }
-            },
-            getSampleRate: function() {
-                return this.audioContext ? this.audioContext.sampleRate : 44100;
             }
         };
     },
@@ -304,171 +151,20 @@ const PitchDetectorAdapter = {
         // Dynamically import pitchy
         const pitchyModule = await import('pitchy');
         const Pitchy = pitchyModule.default || pitchyModule;
+        const MIN_CLARITY = 0.8; // Pitchy reports a clarity (0-1) with every estimate
         
         return {
             name: 'Pitchy (McLeod)',
-            pitchyDetector: Pitchy, // Store the imported module
-            audioContext: null,
-            analyser: null,
-            microphone: null,
-            mediaStream: null, // Store MediaStream reference for cleanup
-            dataArray: null,
-            isListening: false,
-            animationFrame: null,
-            init: async function() {
-                try {
-                    // Clean up any existing stream/context first
-                    this.cleanup();
-                    
-                    const stream = await navigator.mediaDevices.getUserMedia({ 
-                        audio: {
-                            echoCancellation: false,
-                            noiseSuppression: false,
-                            autoGainControl: false
-                        } 
-                    });
-                    
-                    // Store stream reference for cleanup
-                    this.mediaStream = stream;
-                    
-                    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                    this.analyser = this.audioContext.createAnalyser();
-                    this.analyser.fftSize = 4096;
-                    this.analyser.smoothingTimeConstant = 0.3;
-                    
-                    this.microphone = this.audioContext.createMediaStreamSource(stream);
-                    this.microphone.connect(this.analyser);
-                    
-                    const bufferLength = this.analyser.frequencyBinCount;
-                    this.dataArray = new Float32Array(bufferLength);
-                    
-                    Logger.info('Pitchy initialized');
-                    return true;
-                } catch (error) {
-                    Logger.error('Failed to initialize Pitchy', { error: error.message });
-                    return false;
-                }
-            },
-            startListening: function(callback) {
-                if (!this.analyser) {
-                    Logger.error('Pitchy not initialized');
-                    return false;
-                }
-                
-                this.isListening = true;
-                const self = this;
-                
-                const processAudio = () => {
-                    if (!self.isListening) return;
-                    
-                    self.analyser.getFloatTimeDomainData(self.dataArray);
-                    // Use the stored Pitchy detector
-                    const pitch = self.pitchyDetector.detectPitch(self.dataArray, self.audioContext.sampleRate);
-                    
-                    if (pitch && pitch > 0) {
-                        // Convert frequency to note
-                        const note = PitchDetector.frequencyToNote(pitch);
-                        if (note) {
-                            callback(note, pitch);
-                        }
+            // Pitchy detectors are sized to one frame length
+            createDetector: (sampleRate) => {
+                let detector = null;
+                return (buffer) => {
+                    if (!detector || detector.inputLength !== buffer.length) {
+                        detector = Pitchy.PitchDetector.forFloat32Array(buffer.length);
                     }
-                    
-                    self.animationFrame = requestAnimationFrame(processAudio);
+                    const [pitch, clarity] = detector.findPitch(buffer, sampleRate);
+                    return pitch > 0 && clarity >= MIN_CLARITY ? pitch : -1;
                 };
-                
-                processAudio();
-                return true;
-            },
-            stopListening: function() {
-                this.isListening = false;
-                if (this.animationFrame) {
-                    cancelAnimationFrame(this.animationFrame);
-                    this.animationFrame = null;
-                }
-            },
-            get detector() {
-                // Return a function that wraps Pitchy's detectPitch method
-                return (buffer, sampleRate) => {
-                    if (!this.pitchyDetector || !this.audioContext) {
-                        return -1;
-                    }
-                    try {
-                        const pitch = this.pitchyDetector.detectPitch(buffer, sampleRate || this.audioContext.sampleRate);
-                        return pitch && pitch > 0 ? pitch : -1;
-                    } catch (e) {
-                        Logger.warn('Error calling Pitchy detector', { error: e.message });
-                        return -1;
-                    }
-                };
-            },
-            cleanup: function() {
-                // If already cleaned up, skip
-                if (!this.mediaStream && !this.audioContext && !this.microphone) {
-                    Logger.debug('Pitchy already cleaned up, skipping');
-                    return;
-                }
-                
-                this.stopListening();
-                
-                // Stop all tracks in the media stream first
-                if (this.mediaStream) {
-                    try {
-                        this.mediaStream.getTracks().forEach(track => {
-                            try {
-                                if (track.readyState !== 'ended') {
-                                    track.stop();
-                                    Logger.debug('Stopped Pitchy media stream track', { 
-                                        trackId: track.id, 
-                                        kind: track.kind 
-                                    });
-                                }
-                            } catch (e) {
-                                Logger.debug('Track already stopped or error stopping track', { 
-                                    trackId: track.id, 
-                                    error: e.message 
-                                });
-                            }
-                        });
-                    } catch (e) {
-                        Logger.warn('Error stopping Pitchy media stream tracks', { error: e.message });
-                    }
-                    this.mediaStream = null;
-                }
-                
-                // Disconnect microphone node
-                if (this.microphone) {
-                    try {
-                        this.microphone.disconnect();
-                    } catch (e) {
-                        // Already disconnected, ignore
-                    }
-                    this.microphone = null;
-                }
-                
-                // Close audio context
-                if (this.audioContext) {
-                    try {
-                        if (this.audioContext.state !== 'closed' && this.audioContext.state !== 'suspended') {
-                            this.audioContext.close().then(() => {
-                                Logger.debug('Pitchy audio context closed');
-                            }).catch(err => {
-                                Logger.warn('Error closing Pitchy audio context', { error: err.message });
-                            });
-                        }
-                    } catch (e) {
-                        Logger.warn('Error closing Pitchy audio context', { error: e.message });
-                    }
-                    this.audioContext = null;
-                }
-                
-                // Reset other state
-                this.analyser = null;
-                this.dataArray = null;
-                
-                Logger.info('Pitchy cleaned up');
-            },
-            getSampleRate: function() {
-                return this.audioContext ? this.audioContext.sampleRate : 44100;
             }
         };
     },
@@ -495,13 +191,16 @@ const PitchDetectorAdapter = {
             }
         }
         
-        // Stop current implementation if running
-        if (this.currentImplementation && this.currentImplementation.isListening) {
-            this.currentImplementation.stopListening();
+        // Stop listening with the old algorithm
+        if (this.isListening) {
+            this.stopListening();
         }
         
         this.config.algorithm = algorithmName;
         this.currentImplementation = this.implementations[algorithmName];
+        this.frameDetector = AudioInput.isOpen()
+            ? this.createDetector(algorithmName, AudioInput.getSampleRate())
+            : null;
         
         Logger.info('Pitch detection algorithm changed', { 
             algorithm: algorithmName,
@@ -520,7 +219,8 @@ const PitchDetectorAdapter = {
     },
     
     // Unified interface methods
-    init: async function() {
+    // analysis: false when only frames will be read (calibration)
+    init: async function({ analysis = true } = {}) {
         // First time initialization
         if (!this.currentImplementation) {
             await this.initialize();
@@ -539,39 +239,55 @@ const PitchDetectorAdapter = {
             }
         }
         
-        // Then initialize the current implementation
-        if (this.currentImplementation) {
-            return await this.currentImplementation.init();
+        // Then open the audio input (unless a source is already open) and size the detector to it
+        // The worker runs the NSDF analysis - only worth starting for autocorrelation
+        const result = await PitchDetector.init({ analysis: analysis && this.config.algorithm === 'autocorrelation' });
+        if (result === true) {
+            this.frameDetector = this.createDetector(this.config.algorithm, AudioInput.getSampleRate());
         }
-        
-        return { success: false, error: { userMessage: 'Failed to initialize pitch detection. Please refresh the page.' } };
+        return result;
     },
     
-    startListening: function(callback) {
-        if (!this.currentImplementation) {
-            Logger.error('No pitch detection implementation selected');
+    // Listening runs through PitchDetector's frame loop with the selected algorithm's detector
+    get isListening() {
+        return PitchDetector.isListening;
+    },
+    
+    // Same callbacks as PitchDetector.startListening
+    startListening: function(callback, onNoteEnd = null) {
+        if (!this.frameDetector) {
+            Logger.error('No pitch detection implementation initialized');
             return false;
         }
-        return this.currentImplementation.startListening(callback);
+        // Autocorrelation is the NSDF analysis the AudioInput worker runs - let PitchDetector use it there
+        const detect = this.config.algorithm === 'autocorrelation' ? null : this.frameDetector;
+        return PitchDetector.startListening(callback, detect, onNoteEnd);
     },
     
     stopListening: function() {
-        if (this.currentImplementation) {
-            this.currentImplementation.stopListening();
-        }
+        PitchDetector.stopListening();
     },
     
     cleanup: function() {
-        if (this.currentImplementation) {
-            this.currentImplementation.cleanup();
-        }
+        PitchDetector.cleanup();
+        this.frameDetector = null;
     },
     
     getSampleRate: function() {
-        if (this.currentImplementation) {
-            return this.currentImplementation.getSampleRate();
+        return AudioInput.getSampleRate();
+    },
+    
+    // Pitch of one frame from the open source with the selected algorithm (calibration reads its own frames)
+    detectFrame: function(buffer) {
+        if (!this.frameDetector) {
+            return -1;
+        }
+        try {
+            return this.frameDetector(buffer);
+        } catch (e) {
+            Logger.warn('Error calling pitch detector', { error: e.message, algorithm: this.config.algorithm });
+            return -1;
         }
-        return 44100;
     },
     
     // Expose frequencyToNote from original PitchDetector (used by all implementations)
@@ -593,3 +309,8 @@ if (typeof window !== 'undefined') {
     window.PitchDetectorAdapter = PitchDetectorAdapter;
 }
 
+// Allow loading from Node (tools/pitch-benchmark.js) as well as a <script type="module"> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PitchDetectorAdapter;
+}
+
@@ -1,304 +1,207 @@
 /**
  * PITCH DETECTION MODULE
- * Uses Web Audio API with autocorrelation for pitch detection
- * Based on PitchDetect algorithm
+ * NSDF autocorrelation pitch detection (see analyzeBuffer) over frames from AudioInput
  */
 const PitchDetector = {
-    audioContext: null,
-    analyser: null,
-    microphone: null,
-    mediaStream: null, // Store MediaStream reference for cleanup
-    dataArray: null,
     isListening: false,
     onNoteDetected: null,
-    animationFrame: null,
+    onNoteEnded: null,
+    unsubscribe: null, // Stops the AudioInput frame listener
+    tracker: null, // NoteTracker turning frames into note events
 
-    init: async function() {
-        try {
-            // Check if getUserMedia is available
-            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-                const errorMsg = 'getUserMedia is not supported in this browser.';
-                Logger.error('getUserMedia not available', { 
-                    hasMediaDevices: !!navigator.mediaDevices,
-                    protocol: window.location.protocol,
-                    hostname: window.location.hostname,
-                    isSecureContext: window.isSecureContext
-                });
-                throw new Error(errorMsg);
+    // Opens the microphone unless another source (file, test signal) is already feeding AudioInput,
+    // then starts the off-main-thread analysis where the browser supports it - only when the NSDF path
+    // will listen to it (analysis: false for library detectors and calibration, which read frames)
+    init: async function({ analysis = true } = {}) {
+        if (!AudioInput.isOpen()) {
+            const result = await AudioInput.openMicrophone();
+            if (result !== true) {
+                return result;
             }
-
-            // Note: Browsers allow localhost (127.0.0.1) over HTTP as a secure context exception
-            // We don't need to check isSecureContext - let the browser handle it
-            // If getUserMedia fails, it will throw an error we can catch below
-
-            // Clean up any existing stream/context first
-            this.cleanup();
-            
-            // Get microphone access
-            const stream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false
-                } 
-            });
-            
-            // Store stream reference for cleanup
-            this.mediaStream = stream;
-            
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = 4096; // Higher for better frequency resolution
-            this.analyser.smoothingTimeConstant = 0.3;
-            
-            this.microphone = this.audioContext.createMediaStreamSource(stream);
-            this.microphone.connect(this.analyser);
-            
-            const bufferLength = this.analyser.frequencyBinCount;
-            this.dataArray = new Float32Array(bufferLength);
-            
             Logger.info('Pitch detector initialized');
-            return true;
-        } catch (error) {
-            let errorDetails = {
-                error: error.message,
-                name: error.name,
-                protocol: window.location.protocol,
-                hostname: window.location.hostname,
-                isSecureContext: window.isSecureContext
-            };
-
-            // Provide specific error messages
-            if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-                errorDetails.userMessage = 'Microphone permission denied. Please:\n' +
-                    '1. Click the padlock icon in your browser address bar\n' +
-                    '2. Allow microphone access\n' +
-                    '3. Or check System Preferences > Security & Privacy > Microphone (macOS)';
-            } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
-                errorDetails.userMessage = 'No microphone found. Please connect a microphone.';
-            } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
-                errorDetails.userMessage = 'Microphone is being used by another application. Please close other apps using the microphone.';
-            } else {
-                errorDetails.userMessage = error.message;
-            }
-
-            Logger.error('Failed to initialize pitch detector', errorDetails);
-            return { success: false, error: errorDetails };
         }
+        if (analysis) {
+            await AudioInput.startAnalysis({ minFrequency: this.MIN_FREQUENCY, maxFrequency: this.MAX_FREQUENCY });
+        }
+        return true;
     },
 
-    startListening: function(callback) {
-        if (!this.analyser) {
+    // callback(event) once per played note - see NoteTracker: { note, midi, frequency, confidence, time, duration },
+    // note from frequencyToNote, time = Date.now() time of the attack (sample-accurate from the worker).
+    // duration is provisional (0) at the attack; onNoteEnd(event) gets the same event once the note stops
+    // sounding, with its final duration.
+    // detect(frame, sampleRate) => Hz or -1 for other algorithms (adapter implementations); without it the
+    // NSDF analysis runs in the AudioInput worker when available, else on animation frames
+    startListening: function(callback, detect = null, onNoteEnd = null) {
+        if (!AudioInput.isOpen()) {
             Logger.error('Pitch detector not initialized');
             return false;
         }
         
+        this.stopListening();
         this.onNoteDetected = callback;
+        this.onNoteEnded = onNoteEnd;
         this.isListening = true;
-        this.detectPitch();
-        Logger.info('Started listening for pitch');
+        
+        this.tracker = NoteTracker.create({
+            onNote: (event) => {
+                event.note = this.frequencyToNote(event.frequency);
+                if (this.onNoteDetected && event.note) {
+                    this.onNoteDetected(event);
+                }
+            },
+            onNoteEnd: (event) => {
+                if (this.onNoteEnded && event.note) {
+                    this.onNoteEnded(event);
+                }
+            }
+        });
+        const push = (result) => this.tracker.push(result);
+        
+        if (!detect && AudioInput.hasAnalysis()) {
+            this.unsubscribe = AudioInput.onAnalysis(push);
+        } else if (!detect) {
+            this.unsubscribe = AudioInput.onFrame((frame, sampleRate) => {
+                push({ ...this.analyzeBuffer(frame, sampleRate), time: Date.now() });
+            });
+        } else {
+            AudioInput.stopAnalysis(); // Nobody would listen to the worker
+            // Library detectors only report a frequency - the tracker treats their frames as fully clear
+            this.unsubscribe = AudioInput.onFrame((frame, sampleRate) => {
+                push({ frequency: detect(frame, sampleRate), rms: this.frameRms(frame), time: Date.now() });
+            });
+        }
+        Logger.info('Started listening for pitch', { worker: !detect && AudioInput.hasAnalysis() });
         return true;
     },
 
     stopListening: function() {
+        if (!this.isListening) return;
         this.isListening = false;
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-            this.animationFrame = null;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.tracker) {
+            this.tracker.flush(Date.now());
+            this.tracker = null;
         }
         Logger.info('Stopped listening for pitch');
     },
 
-    detectPitch: function() {
-        if (!this.isListening) return;
+    // Onset time of an attack the tracker hasn't reported yet (see NoteTracker.pendingTime), or null
+    pendingAttackTime: function() {
+        return this.tracker ? this.tracker.pendingTime() : null;
+    },
 
-        this.analyser.getFloatTimeDomainData(this.dataArray);
-        
-        // Autocorrelation pitch detection
-        const pitch = this.autocorrelate(this.dataArray, this.audioContext.sampleRate);
-        
-        if (pitch > 0) {
-            const note = this.frequencyToNote(pitch);
-            if (this.onNoteDetected && note) {
-                this.onNoteDetected(note, pitch);
-            }
+    getSampleRate: function() {
+        return AudioInput.getSampleRate();
+    },
+
+    frameRms: function(buffer) {
+        let energy = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            energy += buffer[i] * buffer[i];
         }
+        return Math.sqrt(energy / buffer.length);
+    },
 
-        this.animationFrame = requestAnimationFrame(() => this.detectPitch());
+    // Detection range for analyzeBuffer: the lag search and the reported fundamentals both span it.
+    // The app sets it to every note PROGRESSION can ask for (setFrequencyRange); these defaults match that
+    // (Bb0 to D7 - C1 and C7 a whole tone either side for accidentals). A 2048-sample frame only holds
+    // two periods down to ~43 Hz, so the lowest 8vb notes are out of reach whatever the range says
+    MIN_FREQUENCY: 29,
+    MAX_FREQUENCY: 2350,
+    MIN_RMS: 0.005, // Quieter frames are treated as silence
+    MIN_CLARITY: 0.5, // NSDF peak height needed to call a frame pitched
+    PEAK_THRESHOLD: 0.9, // First key maximum within this share of the highest one is the period (McLeod)
+
+    setFrequencyRange: function({ min, max }) {
+        this.MIN_FREQUENCY = min;
+        this.MAX_FREQUENCY = max;
     },
 
-    autocorrelate: function(buffer, sampleRate) {
-        const MIN_FREQUENCY = 60; // Minimum frequency to detect (Hz) - helps avoid harmonics
-        const MAX_FREQUENCY = 500; // Maximum frequency to detect (Hz) - lowered to avoid false 2000Hz detections
-        const MIN_SAMPLES = Math.floor(sampleRate / MAX_FREQUENCY); // Minimum offset for max frequency
-        const MAX_SAMPLES = Math.floor(sampleRate / MIN_FREQUENCY); // Maximum offset for min frequency
-        const GOOD_ENOUGH_CORRELATION = 0.60; // Lowered significantly for better detection
-        const SIZE = buffer.length;
-        const ACTUAL_MAX_SAMPLES = Math.min(MAX_SAMPLES, Math.floor(SIZE / 2));
-        
-        let bestOffset = -1;
-        let bestCorrelation = 0;
-        let rms = 0;
-        let foundGoodCorrelation = false;
-        const correlations = new Array(ACTUAL_MAX_SAMPLES);
-        
-        // Track multiple peaks to help identify fundamentals vs harmonics
-        const peaks = [];
+    /**
+     * Pitch of one frame by normalized square difference (NSDF, McLeod pitch method).
+     * Pure - depends only on its arguments, so it can be run on synthetic buffers from Node.
+     * Returns { frequency, clarity, rms }; frequency = -1 when the frame is silent or unpitched
+     */
+    analyzeBuffer: function(buffer, sampleRate) {
+        const size = buffer.length;
+        const minLag = Math.floor(sampleRate / this.MAX_FREQUENCY);
+        const maxLag = Math.min(Math.ceil(sampleRate / this.MIN_FREQUENCY), Math.floor(size / 2));
+        const unpitched = (rms, clarity = 0) => ({ frequency: -1, clarity, rms });
 
-        // Calculate RMS for signal strength
-        for (let i = 0; i < SIZE; i++) {
-            const val = buffer[i];
-            rms += val * val;
-        }
-        rms = Math.sqrt(rms / SIZE);
-        
-        if (rms < 0.005) {
-            // Don't log insufficient signal - too spammy
-            return -1; // Lowered threshold - not enough signal
+        let energy = 0;
+        for (let i = 0; i < size; i++) {
+            energy += buffer[i] * buffer[i];
         }
+        const rms = Math.sqrt(energy / size);
+        if (rms < this.MIN_RMS || maxLag <= minLag) return unpitched(rms);
 
-        // Normalize buffer to improve correlation
-        let maxVal = 0;
-        for (let i = 0; i < SIZE; i++) {
-            if (Math.abs(buffer[i]) > maxVal) {
-                maxVal = Math.abs(buffer[i]);
+        // nsdf[lag] = 2 * r(lag) / m(lag), in [-1, 1]; 1 = the frame repeats exactly after `lag` samples.
+        // Lags below minLag are computed too so the first zero crossing can be found
+        const nsdf = new Float32Array(maxLag + 2);
+        for (let lag = 0; lag < nsdf.length; lag++) {
+            let acf = 0;
+            let sumSquares = 0;
+            for (let i = 0; i < size - lag; i++) {
+                acf += buffer[i] * buffer[i + lag];
+                sumSquares += buffer[i] * buffer[i] + buffer[i + lag] * buffer[i + lag];
             }
+            nsdf[lag] = sumSquares > 0 ? 2 * acf / sumSquares : 0;
         }
-        if (maxVal === 0) return -1;
-        
-        const normalizedBuffer = new Float32Array(SIZE);
-        for (let i = 0; i < SIZE; i++) {
-            normalizedBuffer[i] = buffer[i] / maxVal;
+
+        // Key maxima: the highest point of each positive lobe after the first negative-going zero crossing
+        const keyMaxima = [];
+        let lag = 1;
+        while (lag < nsdf.length && nsdf[lag] > 0) lag++;
+        let lobeMax = -1;
+        for (; lag < nsdf.length - 1; lag++) {
+            if (nsdf[lag] > 0) {
+                if (lobeMax < 0 || nsdf[lag] > nsdf[lobeMax]) lobeMax = lag;
+            } else if (lobeMax >= 0) {
+                keyMaxima.push(lobeMax);
+                lobeMax = -1;
+            }
         }
+        if (lobeMax >= 0) keyMaxima.push(lobeMax);
 
-        let lastCorrelation = 1;
-        for (let offset = MIN_SAMPLES; offset < ACTUAL_MAX_SAMPLES; offset++) {
-            let correlation = 0;
-            let count = 0;
+        const candidates = keyMaxima.filter(k => k >= minLag && k <= maxLag);
+        if (candidates.length === 0) return unpitched(rms);
 
-            // Use normalized buffer and calculate correlation more carefully
-            for (let i = 0; i < SIZE - offset; i++) {
-                correlation += normalizedBuffer[i] * normalizedBuffer[i + offset];
-                count++;
-            }
-            
-            if (count > 0) {
-                correlation = correlation / count;
-            }
-            
-            correlations[offset] = correlation;
+        // The shortest period close to the best one: later maxima at 2x, 3x the period
+        // are as high (octave-too-low errors), picking the first avoids them
+        const highest = Math.max(...candidates.map(k => nsdf[k]));
+        const period = candidates.find(k => nsdf[k] >= this.PEAK_THRESHOLD * highest);
+        const clarity = nsdf[period];
+        if (clarity < this.MIN_CLARITY) return unpitched(rms, clarity);
 
-            // Track best correlation regardless of threshold
-            if (correlation > bestCorrelation) {
-                bestCorrelation = correlation;
-                bestOffset = offset;
-            }
-            
-            if (correlation > GOOD_ENOUGH_CORRELATION && correlation > lastCorrelation) {
-                foundGoodCorrelation = true;
-            } else if (foundGoodCorrelation && correlation < bestCorrelation * 0.9) {
-                // Found peak, now interpolate for better accuracy
-                if (bestOffset > 0 && bestOffset < ACTUAL_MAX_SAMPLES - 1 && bestOffset > MIN_SAMPLES) {
-                    const shift = (correlations[bestOffset + 1] - correlations[bestOffset - 1]) / 
-                                  (2 * correlations[bestOffset]);
-                    const frequency = sampleRate / (bestOffset + shift);
-                    
-                    // Check if this is likely a harmonic (2x, 3x, etc. of a lower frequency)
-                    const fundamental = this.findFundamentalFrequency(frequency, correlations, sampleRate, MIN_SAMPLES, bestCorrelation);
-                    if (fundamental > 0) {
-                        return fundamental;
-                    }
-                }
-            }
-            lastCorrelation = correlation;
-        }
-        
-        // After the loop, identify peaks from the correlations array
-        for (let offset = MIN_SAMPLES + 2; offset < ACTUAL_MAX_SAMPLES - 2; offset++) {
-            const correlation = correlations[offset];
-            if (correlation > 0.3) {
-                // Check if this is a local maximum
-                if (correlation > correlations[offset - 1] && 
-                    correlation > correlations[offset + 1] &&
-                    correlation > correlations[offset - 2] * 0.9 &&
-                    correlation > correlations[offset + 2] * 0.9) {
-                    peaks.push({
-                        offset: offset,
-                        correlation: correlation,
-                        frequency: sampleRate / offset
-                    });
-                }
-            }
-        }
-        
-        // If we found any correlation, use it (even if below threshold)
-        // This helps catch weak signals
-        if (bestCorrelation > 0.001 && bestOffset > 0 && bestOffset >= MIN_SAMPLES) {
-            const frequency = sampleRate / bestOffset;
-            
-            // Before checking harmonics, see if we have peaks that suggest a lower fundamental
-            // Sort peaks by frequency (lowest first)
-            peaks.sort((a, b) => a.frequency - b.frequency);
-            
-            // Check if the best peak might be a harmonic of a lower peak
-            for (let i = 0; i < peaks.length; i++) {
-                const lowerPeak = peaks[i];
-                if (lowerPeak.frequency >= 60 && lowerPeak.frequency <= 400) {
-                    // Check if best frequency is a harmonic of this lower peak
-                    const ratio = frequency / lowerPeak.frequency;
-                    if (ratio > 1.8 && ratio < 2.2) {
-                        // Likely 2x harmonic - prefer the fundamental if it has decent correlation
-                        if (lowerPeak.correlation > bestCorrelation * 0.6) {
-                            const fundamental = this.findFundamentalFrequency(frequency, correlations, sampleRate, MIN_SAMPLES, bestCorrelation);
-                            if (fundamental > 0) {
-                                return fundamental;
-                            }
-                        }
-                    } else if (ratio > 2.8 && ratio < 3.2) {
-                        // Likely 3x harmonic
-                        if (lowerPeak.correlation > bestCorrelation * 0.5) {
-                            const fundamental = this.findFundamentalFrequency(frequency, correlations, sampleRate, MIN_SAMPLES, bestCorrelation);
-                            if (fundamental > 0) {
-                                return fundamental;
-                            }
-                        }
-                    }
-                }
-            }
-            
-            // Always check for harmonics - this is critical for guitar strings
-            // Pass the bestCorrelation so we can compare with candidate fundamentals
-            const fundamental = this.findFundamentalFrequency(frequency, correlations, sampleRate, MIN_SAMPLES, bestCorrelation);
-            if (fundamental > 0 && fundamental !== frequency) {
-                // Only log harmonic corrections (interesting case)
-                Logger.debug('Harmonic corrected', {
-                    detected: Math.round(frequency * 100) / 100,
-                    corrected: Math.round(fundamental * 100) / 100
-                });
-                return fundamental;
-            }
-            
-            // If fundamental check rejected it, return -1
-            if (fundamental < 0) {
-                return -1;
-            }
-            
-            // Don't log every successful detection - too spammy
-            return frequency;
-        }
-        
-        // Don't log failed detections - too spammy
-        return -1;
+        // Parabolic interpolation through the peak and its neighbours for sub-sample accuracy
+        const left = nsdf[period - 1];
+        const right = nsdf[period + 1];
+        const denominator = left - 2 * clarity + right;
+        const shift = denominator !== 0 ? 0.5 * (left - right) / denominator : 0;
+        const frequency = sampleRate / (period + shift);
+
+        // Octave-too-high correction (strong 2nd/3rd harmonic) - same harmonic rules as before
+        const fundamental = this.findFundamentalFrequency(frequency, nsdf, sampleRate, minLag, clarity);
+        return fundamental > 0 ? { frequency: fundamental, clarity, rms } : unpitched(rms, clarity);
+    },
+
+    // Frequency in Hz, or -1 (kept for the adapter and calibration callers)
+    autocorrelate: function(buffer, sampleRate) {
+        return this.analyzeBuffer(buffer, sampleRate).frequency;
     },
 
     findFundamentalFrequency: function(detectedFreq, correlations, sampleRate, minSamples, detectedCorrelation) {
         // Check if detected frequency might be a harmonic (2x, 3x, 4x) of the fundamental
-        // For guitar strings, we expect fundamentals between 82-330 Hz
-        const expectedRange = { min: 60, max: 400 };
+        // Fundamentals are expected anywhere in the detection range
+        const expectedRange = { min: this.MIN_FREQUENCY, max: this.MAX_FREQUENCY };
         const harmonics = [2, 3, 4, 5, 6]; // Check harmonics
         
-        // If frequency is way too high (like 500Hz+), it's likely noise
-        if (detectedFreq > 450) {
+        // Above the detection range (parabolic interpolation can overshoot the shortest lag) - likely noise
+        if (detectedFreq > this.MAX_FREQUENCY) {
             return -1; // Reject it
         }
         
@@ -402,69 +305,14 @@ const PitchDetector = {
     },
 
     cleanup: function() {
-        // If already cleaned up, skip
-        if (!this.mediaStream && !this.audioContext && !this.microphone) {
-            Logger.debug('Pitch detector already cleaned up, skipping');
-            return;
-        }
-        
-        try {
-            this.stopListening();
-        } catch (e) {
-            Logger.warn('Error stopping listening during cleanup', { error: e.message });
-        }
-        
-        // Stop all tracks in the media stream first
-        if (this.mediaStream) {
-            try {
-                this.mediaStream.getTracks().forEach(track => {
-                    try {
-                        if (track.readyState !== 'ended') {
-                            track.stop();
-                            Logger.debug('Stopped media stream track', { trackId: track.id, kind: track.kind });
-                        }
-                    } catch (e) {
-                        Logger.debug('Track already stopped or error stopping track', { trackId: track.id, error: e.message });
-                    }
-                });
-            } catch (e) {
-                Logger.warn('Error stopping media stream tracks', { error: e.message });
-            }
-            this.mediaStream = null;
-        }
-        
-        // Disconnect microphone node
-        if (this.microphone) {
-            try {
-                this.microphone.disconnect();
-            } catch (e) {
-                // Already disconnected, ignore
-            }
-            this.microphone = null;
-        }
-        
-        // Close audio context
-        if (this.audioContext) {
-            try {
-                if (this.audioContext.state !== 'closed' && this.audioContext.state !== 'suspended') {
-                    this.audioContext.close().then(() => {
-                        Logger.debug('Audio context closed');
-                    }).catch(err => {
-                        Logger.warn('Error closing audio context', { error: err.message });
-                    });
-                }
-            } catch (e) {
-                Logger.warn('Error closing audio context', { error: e.message });
-            }
-            this.audioContext = null;
-        }
-        
-        // Reset other state
-        this.analyser = null;
-        this.dataArray = null;
+        this.stopListening();
         this.onNoteDetected = null;
-        
-        Logger.info('Pitch detector cleaned up');
+        this.onNoteEnded = null;
+        AudioInput.close();
     }
 };
 
+// Allow loading from Node (tests/tools) as well as a plain <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PitchDetector;
+}
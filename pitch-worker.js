@@ -0,0 +1,23 @@
+/**
+ * PITCH WORKER
+ * Runs PitchDetector.analyzeBuffer on the frames posted by the frame worklet (pitch-worklet.js),
+ * off the main thread so rendering and background-tab throttling can't delay or drop detections.
+ * Posts one result per frame to the page: { frequency, clarity, rms, time } (time = context seconds)
+ */
+importScripts('pitch-detector.js');
+
+let sampleRate = 44100;
+
+self.onmessage = (event) => {
+    if (event.data.type !== 'connect') return;
+    sampleRate = event.data.sampleRate;
+    if (event.data.range) {
+        PitchDetector.setFrequencyRange(event.data.range); // The page's range - it's derived from PROGRESSION
+    }
+
+    event.data.port.onmessage = (message) => {
+        const { frame, time } = message.data;
+        const { frequency, clarity, rms } = PitchDetector.analyzeBuffer(frame, sampleRate);
+        self.postMessage({ frequency, clarity, rms, time });
+    };
+};
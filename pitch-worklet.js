@@ -0,0 +1,51 @@
+/**
+ * PITCH WORKLET
+ * AudioWorkletProcessor that cuts the input into overlapping frames on the audio thread and hands
+ * them straight to the analysis worker (pitch-worker.js) over a MessagePort - the main thread never sees them.
+ * Each frame carries the context time of its last sample, so timestamps are sample-accurate
+ * no matter how late the worker or the page gets to it
+ *   -> { frame: Float32Array(frameSize), time: seconds }
+ */
+class FrameProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { frameSize, hop } = options.processorOptions;
+        this.frameSize = frameSize;
+        this.hop = hop;
+        this.ring = new Float32Array(frameSize);
+        this.writeIndex = 0;
+        this.filled = 0;
+        this.sinceLastFrame = 0;
+        this.target = null; // Worker port, sent by AudioInput.startAnalysis
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'connect') {
+                this.target = event.data.port;
+            }
+        };
+    }
+
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel || !this.target) return true;
+
+        for (let i = 0; i < channel.length; i++) {
+            this.ring[this.writeIndex] = channel[i];
+            this.writeIndex = (this.writeIndex + 1) % this.frameSize;
+            if (this.filled < this.frameSize) this.filled++;
+            this.sinceLastFrame++;
+
+            if (this.filled === this.frameSize && this.sinceLastFrame >= this.hop) {
+                this.sinceLastFrame = 0;
+                // Unroll the ring, oldest sample first
+                const frame = new Float32Array(this.frameSize);
+                frame.set(this.ring.subarray(this.writeIndex));
+                frame.set(this.ring.subarray(0, this.writeIndex), this.frameSize - this.writeIndex);
+                this.target.postMessage({ frame, time: (currentFrame + i + 1) / sampleRate }, [frame.buffer]);
+            }
+        }
+        return true; // Keep processing while the source is connected
+    }
+}
+
+registerProcessor('frame-processor', FrameProcessor);
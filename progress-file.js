@@ -0,0 +1,140 @@
+/**
+ * PROGRESS FILE
+ * Portable backup of one profile's learning progress (versioned JSON)
+ *   { format, version, exportedAt, profile: { name }, srs, settings, pitchAlgorithm, calibration, history }
+ * Pure functions only - the caller reads/writes AppStorage and applies the result
+ */
+const PROGRESS_FILE_FORMAT = 'sightread-progress';
+const PROGRESS_FILE_VERSION = 1;
+
+const ProgressFile = {
+    build: function({ profileName, srs, settings, pitchAlgorithm, calibration, history }, now = Date.now()) {
+        return {
+            format: PROGRESS_FILE_FORMAT,
+            version: PROGRESS_FILE_VERSION,
+            exportedAt: new Date(now).toISOString(),
+            profile: { name: profileName },
+            srs,
+            settings: settings || null,
+            pitchAlgorithm: pitchAlgorithm || null,
+            calibration: calibration || null,
+            // Profile tags are local to this device
+            history: (history || []).map(({ profile, ...record }) => record)
+        };
+    },
+
+    // Returns a list of problems; empty = the file can be imported
+    validate: function(file) {
+        const errors = [];
+        const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+        const isNumber = v => typeof v === 'number' && isFinite(v);
+
+        if (!isObject(file)) return ['Not a JSON object'];
+        if (file.format !== PROGRESS_FILE_FORMAT) errors.push('Not a SightRead progress file');
+        if (!Number.isInteger(file.version) || file.version < 1) {
+            errors.push('Missing file version');
+        } else if (file.version > PROGRESS_FILE_VERSION) {
+            errors.push(`File version ${file.version} is newer than this app supports (${PROGRESS_FILE_VERSION})`);
+        }
+        if (errors.length > 0) return errors;
+
+        if (!isObject(file.srs) || !isObject(file.srs.items) || !isObject(file.srs.clefs)) {
+            errors.push('Missing SRS items or clef progression');
+        } else {
+            Object.entries(file.srs.items).forEach(([id, item]) => {
+                if (!isObject(item) || !isNumber(item.stability) || !isNumber(item.difficulty) ||
+                    !isNumber(item.reps) || !isNumber(item.nextReview)) {
+                    errors.push(`Invalid item: ${id}`);
+                }
+            });
+            Object.entries(file.srs.clefs).forEach(([clef, state]) => {
+                if (!isObject(state) || !Number.isInteger(state.unlockedCount) || state.unlockedCount < 0) {
+                    errors.push(`Invalid progression for clef: ${clef}`);
+                }
+            });
+        }
+        if (file.settings !== null && file.settings !== undefined && !isObject(file.settings)) {
+            errors.push('Invalid settings');
+        }
+        if (!Array.isArray(file.history)) {
+            errors.push('Missing attempt history');
+        } else {
+            const bad = file.history.filter(r => !isObject(r) || !isNumber(r.t) || typeof r.id !== 'string' ||
+                typeof r.correct !== 'boolean' || !isNumber(r.ms));
+            if (bad.length > 0) errors.push(`${bad.length} invalid history records`);
+        }
+
+        // Long lists are summarized - the first few problems are enough to act on
+        return errors.length > 10 ? [...errors.slice(0, 10), `...and ${errors.length - 10} more`] : errors;
+    },
+
+    attemptKey: function(record) {
+        return `${record.t}|${record.id}`;
+    },
+
+    // What importing would change, for the confirmation screen
+    diff: function(current, file) {
+        const currentItems = current.srs ? current.srs.items : {};
+        const items = { added: 0, newer: 0, older: 0, same: 0 };
+        Object.entries(file.srs.items).forEach(([id, item]) => {
+            const existing = currentItems[id];
+            if (!existing) items.added++;
+            else if ((item.lastReview || 0) > (existing.lastReview || 0)) items.newer++;
+            else if ((item.lastReview || 0) < (existing.lastReview || 0)) items.older++;
+            else items.same++;
+        });
+        const onlyLocal = Object.keys(currentItems).filter(id => !file.srs.items[id]).length;
+
+        const currentClefs = current.srs ? current.srs.clefs : {};
+        const clefs = Object.keys({ ...currentClefs, ...file.srs.clefs }).map(clef => ({
+            clef,
+            current: currentClefs[clef] ? currentClefs[clef].unlockedCount : 0,
+            incoming: file.srs.clefs[clef] ? file.srs.clefs[clef].unlockedCount : 0
+        })).filter(c => c.current !== c.incoming);
+
+        const known = new Set((current.history || []).map(this.attemptKey));
+        const newAttempts = file.history.filter(r => !known.has(this.attemptKey(r))).length;
+
+        return {
+            items,
+            onlyLocal,
+            clefs,
+            history: { current: (current.history || []).length, incoming: file.history.length, new: newAttempts },
+            settingsChanged: !!file.settings && JSON.stringify(file.settings) !== JSON.stringify(current.settings)
+        };
+    },
+
+    // Merge keeps the most recently reviewed copy of each item and the further progression of each clef.
+    // Returns { srs, newAttempts }; settings are left as they are
+    merge: function(current, file) {
+        const srs = JSON.parse(JSON.stringify(current.srs || { version: 4, items: {}, clefs: {} }));
+
+        Object.entries(file.srs.items).forEach(([id, item]) => {
+            const existing = srs.items[id];
+            if (!existing || (item.lastReview || 0) > (existing.lastReview || 0)) {
+                srs.items[id] = item;
+            }
+        });
+        Object.entries(file.srs.clefs).forEach(([clef, state]) => {
+            const existing = srs.clefs[clef];
+            if (!existing || state.unlockedCount > existing.unlockedCount) {
+                srs.clefs[clef] = state;
+            }
+        });
+        if (!srs.responseTimes) srs.responseTimes = {};
+        Object.entries(file.srs.responseTimes || {}).forEach(([mode, times]) => {
+            if (!srs.responseTimes[mode] || srs.responseTimes[mode].length === 0) {
+                srs.responseTimes[mode] = times;
+            }
+        });
+
+        const known = new Set((current.history || []).map(this.attemptKey));
+        const newAttempts = file.history.filter(r => !known.has(this.attemptKey(r)));
+        return { srs, newAttempts };
+    }
+};
+
+// Allow loading from Node (tests/tools) as well as a plain <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressFile;
+}
@@ -0,0 +1,31 @@
+/**
+ * SEEDED RANDOM
+ * Deterministic PRNG (mulberry32) so a round can be regenerated from its logged seed
+ * create(seed) returns a Math.random-compatible function: () => float in [0, 1)
+ */
+const SeededRandom = {
+    newSeed: function() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    },
+
+    create: function(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+        };
+    },
+
+    // Random element of a non-empty array
+    pick: function(rng, arr) {
+        return arr[Math.floor(rng() * arr.length)];
+    }
+};
+
+// Allow loading from Node (tests/tools) as well as a plain <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -0,0 +1,89 @@
+/**
+ * RHYTHM GENERATOR
+ * Splits a round into measures of mixed durations and rests (pure - driven by a seeded rng)
+ * Durations are VexFlow codes; positions and lengths are counted in quarter-note beats
+ */
+const RhythmGenerator = {
+    TIME_SIGNATURES: { '4/4': 4, '3/4': 3, '2/4': 2 },
+
+    DURATION_BEATS: { 'w': 4, 'h': 2, 'q': 1, '8': 0.5 },
+
+    // Beat-aligned figures; weight = how often a figure is picked when it fits
+    FIGURES: [
+        { beats: 1, weight: 4, events: [{ duration: 'q' }] },
+        { beats: 1, weight: 3, events: [{ duration: '8', beam: true }, { duration: '8', beam: true }] },
+        { beats: 2, weight: 3, events: [{ duration: 'h' }] },
+        { beats: 2, weight: 2, events: [{ duration: 'q', dots: 1 }, { duration: '8' }] },
+        { beats: 3, weight: 1, events: [{ duration: 'h', dots: 1 }] },
+        { beats: 4, weight: 1, events: [{ duration: 'w' }] },
+        { beats: 1, weight: 2, events: [{ duration: 'q', rest: true }] },
+        { beats: 1, weight: 1, events: [{ duration: '8', rest: true }, { duration: '8' }] }
+    ],
+
+    beatsOf: function(event) {
+        const base = this.DURATION_BEATS[event.duration];
+        return event.dots ? base * 1.5 : base;
+    },
+
+    // Measures holding exactly `noteCount` pitched events, padded with rests to a full bar.
+    // Returns { timeSignature, beatsPerMeasure, measures, events: [{ measure, start, beats, duration, dots, rest, beamGroup }] }
+    generate: function(rng, noteCount, timeSignature = '4/4') {
+        const beatsPerMeasure = this.TIME_SIGNATURES[timeSignature] || 4;
+        const events = [];
+        let notes = 0;
+        let measure = 0;
+        let beamGroup = 0;
+
+        while (notes < noteCount) {
+            let beat = 0;
+            while (beat < beatsPerMeasure) {
+                const remainingBeats = beatsPerMeasure - beat;
+                const remainingNotes = noteCount - notes;
+
+                let figure;
+                if (remainingNotes === 0) {
+                    figure = { events: [{ duration: 'q', rest: true }] }; // Fill out the last bar
+                } else {
+                    const fits = this.FIGURES.filter(f => f.beats <= remainingBeats &&
+                        f.events.filter(e => !e.rest).length <= remainingNotes);
+                    figure = this.pickWeighted(rng, fits);
+                }
+
+                const beamed = figure.events.some(e => e.beam);
+                figure.events.forEach(e => {
+                    const beats = this.beatsOf(e);
+                    events.push({
+                        measure,
+                        start: measure * beatsPerMeasure + beat,
+                        beats,
+                        duration: e.duration,
+                        dots: e.dots || 0,
+                        rest: !!e.rest,
+                        beamGroup: e.beam ? beamGroup : null
+                    });
+                    beat += beats;
+                    if (!e.rest) notes++;
+                });
+                if (beamed) beamGroup++;
+            }
+            measure++;
+        }
+
+        return { timeSignature, beatsPerMeasure, measures: measure, events };
+    },
+
+    pickWeighted: function(rng, options) {
+        const total = options.reduce((sum, o) => sum + o.weight, 0);
+        let pick = rng() * total;
+        for (const option of options) {
+            pick -= option.weight;
+            if (pick < 0) return option;
+        }
+        return options[options.length - 1];
+    }
+};
+
+// Allow loading from Node (tests/tools) as well as a plain <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RhythmGenerator;
+}
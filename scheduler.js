@@ -0,0 +1,156 @@
+/**
+ * MEMORY SCHEDULER
+ * FSRS-style memory model (stability / difficulty / retrievability)
+ * Pure functions only - every call takes `now` explicitly so it can be driven by a fake clock
+ *
+ * Units: stability in days, timestamps and intervals in milliseconds
+ */
+const MemoryScheduler = {
+    DAY_MS: 24 * 60 * 60 * 1000,
+    MINUTE_MS: 60 * 1000,
+
+    // Probability of recall we schedule for (interval == stability at 0.9)
+    requestRetention: 0.9,
+
+    // Grades derived from correctness and response time
+    GRADES: { again: 1, hard: 2, good: 3, easy: 4 },
+
+    // Default FSRS v4 weights (w8-w16 are used for stability/difficulty updates)
+    weights: [0.4, 0.6, 2.4, 5.8, 4.93, 0.94, 0.86, 0.01, 1.49, 0.14, 0.94, 2.18, 0.05, 0.34, 1.26, 0.29, 2.61],
+
+    // First-review stabilities are drill-scale (minutes, not days) - a note is
+    // seen many times per session, so the first steps mirror the old 1/5/30/120 minute ladder
+    initialStabilityMinutes: { 1: 1, 2: 5, 3: 30, 4: 120 },
+
+    minStabilityMinutes: 1,
+    maxIntervalDays: 365,
+    relearnStepMs: 60 * 1000, // Lapsed items come back after 1 minute
+    strugglingDifficulty: 7,
+
+    createItem: function() {
+        return {
+            stability: 0,
+            difficulty: 0,
+            reps: 0,
+            lapses: 0,
+            lastReview: 0,
+            nextReview: 0,
+            streak: 0
+        };
+    },
+
+    // Map an answer to an FSRS grade. Fast answers under half the threshold count as easy
+    gradeFromResponse: function(isCorrect, responseTimeMs, fastThresholdMs) {
+        if (!isCorrect) return this.GRADES.again;
+        if (responseTimeMs > fastThresholdMs) return this.GRADES.hard;
+        if (responseTimeMs <= fastThresholdMs / 2) return this.GRADES.easy;
+        return this.GRADES.good;
+    },
+
+    // Probability of recall at `now` (power forgetting curve, R = 0.9 when elapsed == stability)
+    retrievability: function(item, now) {
+        if (!item || !item.reps || !item.stability) return 0;
+        const elapsedDays = Math.max(0, now - item.lastReview) / this.DAY_MS;
+        return Math.pow(1 + elapsedDays / (9 * item.stability), -1);
+    },
+
+    // Due at its scheduled review - for a lapse that's the relearning step, well before the
+    // forgetting curve gets there - or once predicted recall has dropped to the target retention
+    isDue: function(item, now) {
+        if (!item) return false;
+        return (item.nextReview > 0 && now >= item.nextReview) || this.retrievability(item, now) <= this.requestRetention;
+    },
+
+    isStruggling: function(item) {
+        return !!item && item.difficulty >= this.strugglingDifficulty;
+    },
+
+    // Interval (ms) after which retrievability drops to requestRetention
+    intervalFor: function(stability) {
+        const days = 9 * stability * (1 / this.requestRetention - 1);
+        const clamped = Math.min(this.maxIntervalDays, days);
+        return Math.max(this.minStabilityMinutes * this.MINUTE_MS, Math.round(clamped * this.DAY_MS));
+    },
+
+    initialDifficulty: function(grade) {
+        const w = this.weights;
+        return this.clampDifficulty(w[4] - (grade - 3) * w[5]);
+    },
+
+    nextDifficulty: function(difficulty, grade) {
+        const w = this.weights;
+        const updated = difficulty - w[6] * (grade - 3);
+        // Mean reversion towards the difficulty of a "good" first answer
+        return this.clampDifficulty(w[7] * this.initialDifficulty(3) + (1 - w[7]) * updated);
+    },
+
+    clampDifficulty: function(d) {
+        return Math.min(10, Math.max(1, d));
+    },
+
+    nextRecallStability: function(d, s, r, grade) {
+        const w = this.weights;
+        const hardPenalty = grade === this.GRADES.hard ? w[15] : 1;
+        const easyBonus = grade === this.GRADES.easy ? w[16] : 1;
+        return s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) *
+            (Math.exp((1 - r) * w[10]) - 1) * hardPenalty * easyBonus);
+    },
+
+    nextForgetStability: function(d, s, r) {
+        const w = this.weights;
+        const forgot = w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp((1 - r) * w[14]);
+        // Forgetting never makes an item more stable than it was
+        return Math.min(s, forgot);
+    },
+
+    // Returns a new item state; never mutates the input
+    review: function(item, grade, now) {
+        const prev = item || this.createItem();
+        const next = { ...prev };
+        const minStability = this.minStabilityMinutes * this.MINUTE_MS / this.DAY_MS;
+
+        if (!prev.reps) {
+            next.difficulty = this.initialDifficulty(grade);
+            next.stability = this.initialStabilityMinutes[grade] * this.MINUTE_MS / this.DAY_MS;
+        } else {
+            const r = this.retrievability(prev, now);
+            next.difficulty = this.nextDifficulty(prev.difficulty, grade);
+            next.stability = grade === this.GRADES.again
+                ? this.nextForgetStability(prev.difficulty, prev.stability, r)
+                : this.nextRecallStability(prev.difficulty, prev.stability, r, grade);
+        }
+        next.stability = Math.max(minStability, next.stability);
+
+        next.reps = (prev.reps || 0) + 1;
+        next.lastReview = now;
+        if (grade === this.GRADES.again) {
+            next.lapses = (prev.lapses || 0) + 1;
+            next.nextReview = now + this.relearnStepMs;
+        } else {
+            next.nextReview = now + this.intervalFor(next.stability);
+        }
+        return next;
+    },
+
+    // Convert a pre-scheduler item ({ level, nextReview, streak }) into scheduler state
+    migrateLegacyItem: function(item, now) {
+        const ladderMinutes = [1, 5, 30, 120, 720, 2880]; // Old fixed intervals by level
+        const level = Math.max(0, Math.min(item.level || 0, ladderMinutes.length - 1));
+        const intervalMs = ladderMinutes[level] * this.MINUTE_MS;
+        const nextReview = item.nextReview || now;
+        return {
+            stability: intervalMs / this.DAY_MS,
+            difficulty: this.clampDifficulty(this.initialDifficulty(3) + (2 - level) * 0.5),
+            reps: Math.max(1, level),
+            lapses: level === 0 ? 1 : 0,
+            lastReview: Math.min(now, nextReview - intervalMs),
+            nextReview,
+            streak: item.streak || 0
+        };
+    }
+};
+
+// Allow loading from Node (tests/tools) as well as a plain <script> tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryScheduler;
+}
@@ -1,59 +1,263 @@
 /**
  * SRS ENGINE (PROGRESSIVE)
  */
+const SRS_STORAGE_KEY = 'srs';
+const LEGACY_SRS_STORAGE_KEY = 'srsV3'; // v3 data imported from localStorage, migrated on first load
+
 class SRSEngine {
-    constructor() {
-        this.loadData();
+    // Pass a snapshot (see getGenerationSnapshot) to get an in-memory engine that never touches storage
+    constructor(snapshot = null) {
+        this.persistent = !snapshot;
+        this.rules = { ...DEFAULT_PROGRESSION_RULES, ...(snapshot && snapshot.rules) };
+        if (snapshot) {
+            this.data = JSON.parse(JSON.stringify({ items: snapshot.items, clefs: snapshot.clefs }));
+            this.data.responseTimes = {};
+        } else {
+            this.loadData();
+        }
     }
 
     loadData() {
-        const saved = localStorage.getItem('sightread_srs_data_v3');
-        // Schema: items = { id: { level: 0-5, nextReview: timestamp, streak: number } }
-        // unlockedCount = how many notes from PROGRESSION are currently active
-        // recentAttempts = array of recent results for performance tracking
-        this.data = saved ? JSON.parse(saved) : { 
-            items: {}, 
-            unlockedCount: 3, // Start with 3 notes
-            stats: { streak: 0, total: 0, correct: 0 },
-            recentAttempts: [] // Track last 20 attempts for progression checks
-        };
-        // Ensure recentAttempts exists for old data
-        if (!this.data.recentAttempts) {
-            this.data.recentAttempts = [];
+        const saved = AppStorage.get(SRS_STORAGE_KEY);
+        // Schema: items = { id: { stability, difficulty, reps, lapses, lastReview, nextReview, streak } }
+        //   (memory model fields are owned by MemoryScheduler)
+        // clefs = { clef: { unlockedCount, stats, recentAttempts } }
+        //   unlockedCount = how many notes from PROGRESSION[clef] are currently active
+        //   recentAttempts = array of recent results for performance tracking
+        // responseTimes = { mode: [ms] } rolling correct-answer times per input mode
+        //   (per-note windows live on each item as item.responseTimes[mode])
+        // Items are stored one record each (AppStorage.getItems); the SRS record holds the rest.
+        // A record that still carries items (v3 migration, an imported file) is the whole item set
+        let replaceItems = false;
+        if (saved) {
+            replaceItems = !!saved.items;
+            this.data = { ...saved, items: saved.items || { ...AppStorage.getItems() } };
+        } else {
+            const legacy = AppStorage.get(LEGACY_SRS_STORAGE_KEY);
+            this.data = legacy ? this.migrateFromV3(legacy) : { version: 4, items: {}, clefs: {} };
+            replaceItems = !!legacy;
+        }
+        if (!this.data.clefs) {
+            this.data.clefs = {};
         }
-        // Ensure streak exists for all existing items
+        if (!this.data.responseTimes) {
+            this.data.responseTimes = {};
+        }
+        // Ensure every known clef has progression state
+        Object.keys(PROGRESSION).forEach(clef => this.getClefState(clef));
+        // Ensure streak exists for all existing items, and move fixed-ladder items onto the memory model
+        const now = Date.now();
+        let migratedItems = 0;
         for (let id in this.data.items) {
             if (this.data.items[id].streak === undefined) {
                 this.data.items[id].streak = 0;
             }
+            if (this.data.items[id].stability === undefined) {
+                this.data.items[id] = MemoryScheduler.migrateLegacyItem(this.data.items[id], now);
+                migratedItems++;
+            }
+        }
+        if (migratedItems > 0) {
+            Logger.info(`Migrated ${migratedItems} items to memory scheduler`);
+        }
+        if (replaceItems) {
+            AppStorage.replaceItems(this.data.items);
+            this.saveData();
+        } else if (migratedItems > 0) {
+            this.saveData(Object.keys(this.data.items));
         }
         
         Logger.info('SRS data loaded', {
-            unlockedCount: this.data.unlockedCount,
-            totalItems: Object.keys(this.data.items).length,
-            stats: this.data.stats
+            clefs: this.getClefSummary(),
+            totalItems: Object.keys(this.data.items).length
+        });
+    }
+
+    // v3 stored a single unlockedCount/stats/recentAttempts shared by every clef.
+    // Each clef keeps the old count only as far as its own notes have actually been seen,
+    // so bass doesn't inherit notes that were unlocked by treble practice.
+    migrateFromV3(old) {
+        const items = old.items || {};
+        const oldUnlocked = old.unlockedCount || this.rules.minUnlocked;
+        const clefs = {};
+
+        Object.keys(PROGRESSION).forEach(clef => {
+            const prog = PROGRESSION[clef];
+            let seen = 0;
+            while (seen < prog.length && items[this.getKey(clef, prog[seen].n, prog[seen].o)]) {
+                seen++;
+            }
+            clefs[clef] = this.createClefState(Math.max(this.rules.minUnlocked, Math.min(oldUnlocked, seen)));
+        });
+
+        // Old stats can't be split per clef - attribute them to treble (the default clef)
+        if (old.stats) clefs.treble.stats = { ...old.stats };
+        if (old.recentAttempts) clefs.treble.recentAttempts = old.recentAttempts.slice(-50);
+
+        Logger.info('Migrated SRS data from v3', {
+            oldUnlocked,
+            clefs: Object.keys(clefs).map(c => ({ clef: c, unlockedCount: clefs[c].unlockedCount }))
         });
+
+        return { version: 4, items, clefs };
+    }
+
+    createClefState(unlockedCount = this.rules.minUnlocked) {
+        return {
+            unlockedCount,
+            stats: { streak: 0, total: 0, correct: 0 },
+            recentAttempts: [] // Track last 50 attempts for progression checks
+        };
+    }
+
+    // Per-clef progression state, created on first access
+    getClefState(clef) {
+        if (!this.data.clefs[clef]) {
+            this.data.clefs[clef] = this.createClefState();
+        }
+        const state = this.data.clefs[clef];
+        if (!state.stats) state.stats = { streak: 0, total: 0, correct: 0 };
+        if (!state.recentAttempts) state.recentAttempts = [];
+        return state;
     }
 
-    saveData() {
-        localStorage.setItem('sightread_srs_data_v3', JSON.stringify(this.data));
+    getClefSummary() {
+        return Object.keys(this.data.clefs).map(clef => ({
+            clef,
+            unlockedCount: this.data.clefs[clef].unlockedCount,
+            stats: this.data.clefs[clef].stats
+        }));
+    }
+
+    // Writes the SRS record (clefs, response times) and only the items named in changedIds
+    saveData(changedIds = []) {
+        if (!this.persistent) return;
+        const { items, ...progression } = this.data;
+        AppStorage.set(SRS_STORAGE_KEY, progression);
+        if (changedIds.length > 0) {
+            const changed = {};
+            changedIds.forEach(id => { changed[id] = items[id]; });
+            AppStorage.setItems(changed);
+        }
+    }
+
+    // Everything generateCard reads, so a logged round can be regenerated exactly
+    getGenerationSnapshot() {
+        const clefs = {};
+        for (let clef in this.data.clefs) {
+            clefs[clef] = { unlockedCount: this.data.clefs[clef].unlockedCount };
+        }
+        return {
+            items: JSON.parse(JSON.stringify(this.data.items)),
+            clefs,
+            rules: { ...this.rules }
+        };
+    }
+
+    // Apply learner-configured progression rules (see DEFAULT_PROGRESSION_RULES)
+    setRules(rules) {
+        this.rules = { ...DEFAULT_PROGRESSION_RULES, ...rules };
+        // A raised minimum applies immediately to every clef
+        let changed = false;
+        Object.keys(this.data.clefs).forEach(clef => {
+            const state = this.data.clefs[clef];
+            const prog = PROGRESSION[clef] || PROGRESSION['treble'];
+            const floor = Math.min(this.rules.minUnlocked, prog.length);
+            if (state.unlockedCount < floor) {
+                state.unlockedCount = floor;
+                changed = true;
+            }
+        });
+        if (changed) this.saveData();
+        Logger.info('Progression rules applied', { rules: this.rules });
+    }
+
+    // Evaluate one note against the progression rules
+    evaluateNote(item) {
+        const rules = this.rules;
+        const streak = item ? (item.streak || 0) : 0;
+        const results = item && item.recentResults ? item.recentResults.slice(-rules.accuracyWindow) : [];
+        const accuracy = results.length > 0 ? results.filter(r => r).length / results.length : 0;
+        const times = item && item.responseTimes ? [].concat(...Object.values(item.responseTimes)) : [];
+        const medianMs = times.length > 0 ? Math.round(this.percentile(times, 0.5)) : null;
+
+        let ready = rules.mastery === 'accuracy'
+            ? results.length >= rules.accuracyWindow && accuracy >= rules.minAccuracy
+            : streak >= rules.requiredStreak;
+        if (ready && rules.maxMedianMs > 0) {
+            ready = medianMs !== null && medianMs <= rules.maxMedianMs;
+        }
+
+        return {
+            exists: !!item,
+            streak,
+            attempts: results.length,
+            accuracy: Math.round(accuracy * 100) / 100,
+            medianMs,
+            ready
+        };
     }
 
     resetData() {
-        localStorage.removeItem('sightread_srs_data_v3');
+        AppStorage.remove(SRS_STORAGE_KEY);
+        AppStorage.remove(LEGACY_SRS_STORAGE_KEY);
+        AppStorage.clearItems();
+        AttemptHistory.clear();
         this.loadData();
     }
 
-    getKey(clef, note, octave) {
-        return `${clef}-${note}${octave}`;
+    // Diatonic items are keyed by staff position; chromatic items also carry the printed accidental
+    getKey(clef, note, octave, accidental = null) {
+        return `${clef}-${note}${accidental || ''}${octave}`;
+    }
+
+    // Value at percentile p (0-1) of an unsorted sample, linear interpolation between ranks
+    percentile(samples, p) {
+        const sorted = [...samples].sort((a, b) => a - b);
+        const rank = (sorted.length - 1) * p;
+        const lo = Math.floor(rank);
+        const hi = Math.ceil(rank);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+    }
+
+    // Response time (ms) that counts as "fast" for this note in this input mode
+    getSpeedTarget(cardId, mode) {
+        const fallback = SPEED_TARGETS.defaultMs[mode] || SPEED_TARGETS.defaultMs.buttons;
+        const modeTimes = this.data.responseTimes[mode] || [];
+        let target = modeTimes.length >= SPEED_TARGETS.minSamples
+            ? this.percentile(modeTimes, SPEED_TARGETS.percentile)
+            : fallback;
+
+        const item = cardId ? this.data.items[cardId] : null;
+        const itemTimes = item && item.responseTimes ? (item.responseTimes[mode] || []) : [];
+        if (itemTimes.length >= SPEED_TARGETS.minSamples) {
+            // Notes that are consistently harder/easier than average get their own pull on the target
+            target = (target + this.percentile(itemTimes, SPEED_TARGETS.percentile)) / 2;
+        }
+
+        return Math.round(Math.min(SPEED_TARGETS.maxMs, Math.max(SPEED_TARGETS.minMs, target)));
+    }
+
+    recordResponseTime(item, mode, timeDelta) {
+        if (!this.data.responseTimes[mode]) this.data.responseTimes[mode] = [];
+        const modeTimes = this.data.responseTimes[mode];
+        modeTimes.push(timeDelta);
+        if (modeTimes.length > SPEED_TARGETS.modeWindow) modeTimes.shift();
+
+        if (!item.responseTimes) item.responseTimes = {};
+        if (!item.responseTimes[mode]) item.responseTimes[mode] = [];
+        const itemTimes = item.responseTimes[mode];
+        itemTimes.push(timeDelta);
+        if (itemTimes.length > SPEED_TARGETS.itemWindow) itemTimes.shift();
     }
 
     // Check if user is ready for new notes
-    // Requires ALL unlocked notes to have met their streak requirement
+    // Requires ALL unlocked notes to satisfy the progression rules
     checkProgression(clef) {
         const prog = PROGRESSION[clef] || PROGRESSION['treble'];
         const max = prog.length;
-        let currentUnlocked = this.data.unlockedCount;
+        const clefState = this.getClefState(clef);
+        let currentUnlocked = clefState.unlockedCount;
 
         Logger.debug(`checkProgression called for clef: ${clef}, currentUnlocked: ${currentUnlocked}, max: ${max}`);
 
@@ -62,7 +266,7 @@ class SRSEngine {
             return false; // All unlocked
         }
 
-        // REQUIREMENT: ALL unlocked notes must have streak >= REQUIRED_STREAK_PER_NOTE
+        // REQUIREMENT: ALL unlocked notes must be ready under the current rules
         let notesReady = 0;
         let totalUnlocked = 0;
         const noteDetails = [];
@@ -83,23 +287,10 @@ class SRSEngine {
                 return false;
             }
             
-            // Ensure streak exists
-            if (item.streak === undefined) {
-                item.streak = 0;
-                Logger.debug(`Initialized streak for ${id} to 0`);
-            }
-            
-            const noteInfo = {
-                note: `${p.n}${p.o}`,
-                id,
-                streak: item.streak,
-                required: REQUIRED_STREAK_PER_NOTE,
-                ready: item.streak >= REQUIRED_STREAK_PER_NOTE
-            };
-            noteDetails.push(noteInfo);
+            const evaluation = this.evaluateNote(item);
+            noteDetails.push({ note: `${p.n}${p.o}`, id, ...evaluation });
             
-            // Check if this note has met the streak requirement
-            if (item.streak >= REQUIRED_STREAK_PER_NOTE) {
+            if (evaluation.ready) {
                 notesReady++;
             }
         }
@@ -109,19 +300,19 @@ class SRSEngine {
             currentUnlocked,
             notesReady,
             totalUnlocked,
-            requiredStreak: REQUIRED_STREAK_PER_NOTE,
+            rules: this.rules,
             noteDetails
         });
 
         // ALL notes must be ready before unlocking the next one
         if (totalUnlocked > 0 && notesReady === totalUnlocked) {
-            const oldUnlocked = this.data.unlockedCount;
-            this.data.unlockedCount++;
+            const oldUnlocked = clefState.unlockedCount;
+            clefState.unlockedCount++;
             this.saveData();
-            Logger.warn(`PROGRESSION UNLOCKED: ${oldUnlocked} -> ${this.data.unlockedCount}`, {
+            Logger.warn(`PROGRESSION UNLOCKED (${clef}): ${oldUnlocked} -> ${clefState.unlockedCount}`, {
                 clef,
                 oldUnlocked,
-                newUnlocked: this.data.unlockedCount,
+                newUnlocked: clefState.unlockedCount,
                 noteDetails
             });
             return true; // Just unlocked something
@@ -132,69 +323,57 @@ class SRSEngine {
     }
 
     // Check if we should reduce unlocked count due to poor performance
-    // If most notes have lost their streaks, reduce unlocked count
+    // If too many notes are no longer ready (rules.regressionThreshold), reduce unlocked count
     checkRegression(clef) {
         const prog = PROGRESSION[clef] || PROGRESSION['treble'];
-        let currentUnlocked = this.data.unlockedCount;
+        const clefState = this.getClefState(clef);
+        const minUnlocked = this.rules.minUnlocked;
+        let currentUnlocked = clefState.unlockedCount;
 
         Logger.debug(`checkRegression called for clef: ${clef}, currentUnlocked: ${currentUnlocked}`);
 
-        if (currentUnlocked <= 3) {
+        if (currentUnlocked <= minUnlocked) {
             Logger.debug('At minimum unlocked count, cannot regress');
             return false; // Don't go below minimum
         }
 
-        // Count how many notes have lost their streaks (streak < required)
-        let notesWithLowStreak = 0;
+        // Count how many notes are not ready (a note that doesn't exist yet counts as not ready)
+        let notesNotReady = 0;
         let totalUnlocked = 0;
         const noteDetails = [];
 
-        for (let i = 0; i < currentUnlocked; i++) {
+        for (let i = 0; i < currentUnlocked && i < prog.length; i++) {
             const p = prog[i];
             const id = this.getKey(clef, p.n, p.o);
-            const item = this.data.items[id];
+            const evaluation = this.evaluateNote(this.data.items[id]);
             totalUnlocked++;
+            noteDetails.push({ note: `${p.n}${p.o}`, id, ...evaluation });
             
-            const noteInfo = {
-                note: `${p.n}${p.o}`,
-                id,
-                streak: item ? (item.streak || 0) : 0,
-                exists: !!item
-            };
-            noteDetails.push(noteInfo);
-            
-            if (item) {
-                const streak = item.streak || 0;
-                if (streak < REQUIRED_STREAK_PER_NOTE) {
-                    notesWithLowStreak++;
-                }
-            } else {
-                // Note doesn't exist yet, count as low streak
-                notesWithLowStreak++;
+            if (!evaluation.ready) {
+                notesNotReady++;
             }
         }
 
-        const lowStreakRatio = totalUnlocked > 0 ? (notesWithLowStreak / totalUnlocked) : 0;
-        Logger.debug(`Regression check: ${notesWithLowStreak}/${totalUnlocked} notes with low streak`, {
+        const notReadyRatio = totalUnlocked > 0 ? (notesNotReady / totalUnlocked) : 0;
+        Logger.debug(`Regression check: ${notesNotReady}/${totalUnlocked} notes not ready`, {
             clef,
             currentUnlocked,
-            notesWithLowStreak,
+            notesNotReady,
             totalUnlocked,
-            lowStreakRatio,
-            threshold: 0.5,
+            notReadyRatio,
+            threshold: this.rules.regressionThreshold,
             noteDetails
         });
 
-        // If more than 50% of notes have lost their streaks, reduce unlocked count
-        if (totalUnlocked > 0 && lowStreakRatio > 0.5) {
-            const oldUnlocked = this.data.unlockedCount;
-            this.data.unlockedCount = Math.max(3, currentUnlocked - 1);
+        if (totalUnlocked > 0 && notReadyRatio > this.rules.regressionThreshold) {
+            const oldUnlocked = clefState.unlockedCount;
+            clefState.unlockedCount = Math.max(minUnlocked, currentUnlocked - 1);
             this.saveData();
-            Logger.warn(`REGRESSION: Reduced unlocked count ${oldUnlocked} -> ${this.data.unlockedCount}`, {
+            Logger.warn(`REGRESSION (${clef}): Reduced unlocked count ${oldUnlocked} -> ${clefState.unlockedCount}`, {
                 clef,
                 oldUnlocked,
-                newUnlocked: this.data.unlockedCount,
-                reason: `${notesWithLowStreak}/${totalUnlocked} notes have low streak`,
+                newUnlocked: clefState.unlockedCount,
+                reason: `${notesNotReady}/${totalUnlocked} notes are not ready`,
                 noteDetails
             });
             return true; // Just reduced unlocked count
@@ -203,36 +382,136 @@ class SRSEngine {
     }
 
     // Generate a card based on progression and due dates
-    generateCard(clef, keySig) {
-        const prog = PROGRESSION[clef] || PROGRESSION['treble'];
-        const limit = Math.min(this.data.unlockedCount, prog.length);
-        const now = Date.now();
+    // rng must be Math.random-compatible; pass a SeededRandom generator (and fixed `now`) for reproducible rounds
+    // options.chromaticRate = chance (0-1) that the card is an accidental outside the key signature
+    // options.drill = 'notes' (default) | 'intervals' | 'chords' | 'mixed'
+    // options.focus = item ids to restrict the card to (e.g. the weakest notes of the last round)
+    generateCard(clef, keySig, rng = Math.random, now = Date.now(), options = {}) {
+        if (options.focus && options.focus.length > 0) {
+            const focused = this.generateFocusCard(clef, keySig, options.focus, rng, now);
+            if (focused) return focused;
+        }
 
-        // 1. Identify Candidate Pool
-        let candidates = [];
-        let dueItems = [];
-        let newItems = [];
-        let strugglingItems = [];
+        const drill = options.drill === 'mixed'
+            ? SeededRandom.pick(rng, ['notes', 'intervals', 'chords'])
+            : (options.drill || 'notes');
+        if (drill !== 'notes') {
+            const harmonic = this.generateHarmonicCard(clef, keySig, drill, rng, now);
+            if (harmonic) return harmonic;
+        }
+        const chromatic = options.chromaticRate > 0 && rng() < options.chromaticRate;
+
+        const card = this.selectCard(this.buildNoteCards(clef, keySig, chromatic), rng, now);
+        if (card) return card;
+
+        // Fallback (shouldn't happen)
+        return { clef, keySig, note: 'C', octave: 4, accidental: null, id: 'fallback' };
+    }
 
+    // Cards for every unlocked note: diatonic, or the chromatic alterations of each note
+    buildNoteCards(clef, keySig, chromatic) {
+        const prog = PROGRESSION[clef] || PROGRESSION['treble'];
+        const limit = Math.min(this.getClefState(clef).unlockedCount, prog.length);
+        const cards = [];
         for (let i = 0; i < limit; i++) {
             const p = prog[i];
-            const id = this.getKey(clef, p.n, p.o);
-            const item = this.data.items[id];
+            // Handle Key Signature Accidental logic (sharps, flats and any double accidentals)
+            const keyAccidental = getKeyAccidental(keySig, p.n);
+
+            if (!chromatic) {
+                cards.push({
+                    clef, keySig, note: p.n, octave: p.o, accidental: keyAccidental,
+                    id: this.getKey(clef, p.n, p.o)
+                });
+                continue;
+            }
 
-            // Create card object
-            // Handle Key Signature Accidental logic
-            let accidental = null;
-            const sigNotes = KEY_SIGNATURES[keySig];
-            sigNotes.forEach(mod => {
-                if (mod.startsWith(p.n)) {
-                    if(mod.length > 1) accidental = mod.substring(1); 
+            // Chromatic variants are separate SRS items, keyed by the accidental printed on the staff
+            getChromaticAlterations(keyAccidental).forEach(acc => {
+                cards.push({
+                    clef, keySig, note: p.n, octave: p.o,
+                    accidental: acc === 'n' ? null : acc,
+                    chromatic: true,
+                    id: this.getKey(clef, p.n, p.o, getVisualAccidental(keySig, p.n, acc))
+                });
+            });
+        }
+        return cards;
+    }
+
+    // One of the given items, whatever kind of card it is. Null if none is available any more (e.g. regressed)
+    generateFocusCard(clef, keySig, focus, rng, now) {
+        const id = SeededRandom.pick(rng, focus);
+        if (id.includes('-chord-')) return this.generateHarmonicCard(clef, keySig, 'chords', rng, now, [id]);
+        if (id.includes('-interval-')) return this.generateHarmonicCard(clef, keySig, 'intervals', rng, now, [id]);
+        const cards = this.buildNoteCards(clef, keySig, false).concat(this.buildNoteCards(clef, keySig, true));
+        return cards.find(card => card.id === id) || null;
+    }
+
+    // Interval or chord card. Each interval / chord type + inversion is its own SRS item,
+    // the root is any unlocked note (with the key signature applied) that can spell it
+    // onlyIds restricts the pool to specific interval/chord items
+    generateHarmonicCard(clef, keySig, drill, rng, now, onlyIds = null) {
+        const prog = PROGRESSION[clef] || PROGRESSION['treble'];
+        const limit = Math.min(this.getClefState(clef).unlockedCount, prog.length);
+        const roots = prog.slice(0, limit).map(p => ({ note: p.n, octave: p.o, accidental: getKeyAccidental(keySig, p.n) }));
+
+        const kinds = [];
+        if (drill === 'intervals') {
+            INTERVAL_DRILL.forEach(code => kinds.push({
+                type: 'interval', code, inversion: 0, intervals: ['P1', code],
+                id: `${clef}-interval-${code}`
+            }));
+        } else {
+            Object.keys(CHORD_TYPES).forEach(code => {
+                const chordType = CHORD_TYPES[code];
+                for (let inversion = 0; inversion < chordType.tones.length; inversion++) {
+                    kinds.push({
+                        type: 'chord', code, inversion, intervals: chordType.tones,
+                        id: `${clef}-chord-${code}-${inversion}`
+                    });
                 }
             });
+        }
 
-            const card = {
-                clef, keySig, note: p.n, octave: p.o, accidental,
-                id: id
-            };
+        const pool = onlyIds ? kinds.filter(k => onlyIds.includes(k.id)) : kinds;
+        const kind = this.selectCard(pool, rng, now);
+        if (!kind) return null;
+
+        const options = roots
+            .map(root => ({ root, tones: buildChordTones(root, kind.intervals, kind.inversion) }))
+            .filter(o => o.tones);
+        if (options.length === 0) return null;
+        const { root, tones } = SeededRandom.pick(rng, options);
+
+        const rootName = root.note + (root.accidental || '');
+        const label = kind.type === 'interval'
+            ? INTERVALS[kind.code].name
+            : `${rootName} ${CHORD_TYPES[kind.code].name}, ${INVERSION_NAMES[kind.inversion]}`;
+
+        return {
+            clef, keySig,
+            type: kind.type,
+            code: kind.code,
+            inversion: kind.inversion,
+            // Lowest tone doubles as the card's note so single-note code paths keep working
+            note: tones[0].note, octave: tones[0].octave, accidental: tones[0].accidental,
+            tones,
+            label,
+            id: kind.id
+        };
+    }
+
+    // Pick one card from a pool using the SRS state of each card's item
+    selectCard(cards, rng, now) {
+        // 1. Identify Candidate Pool
+        let candidates = [];
+        let dueItems = [];
+        let newItems = [];
+        let strugglingItems = [];
+
+        cards.forEach(card => {
+            const item = this.data.items[card.id];
 
             if (!item) {
                 newItems.push(card);
@@ -241,31 +520,43 @@ class SRSEngine {
                 if (item.streak === undefined) {
                     item.streak = 0;
                 }
-                if (item.nextReview <= now) dueItems.push(card);
-                // Struggling = low streak or low level
-                if (item.level === 0 || (item.streak || 0) < REQUIRED_STREAK_PER_NOTE) {
+                // Due = scheduled review reached (lapses relearn after a minute) or recall dropped to the target
+                // Weight = chance it's forgotten, at least that of an item just coming due (relearning items
+                // are due while recall still looks certain)
+                if (MemoryScheduler.isDue(item, now)) {
+                    const weight = Math.max(1 - MemoryScheduler.retrievability(item, now), 1 - MemoryScheduler.requestRetention);
+                    dueItems.push({ card, weight });
+                }
+                // Struggling = low streak or high difficulty
+                if (MemoryScheduler.isStruggling(item) || !this.evaluateNote(item).ready) {
                     strugglingItems.push(card);
                 }
                 candidates.push(card); // General pool
             }
-        }
+        });
 
         // 2. Selection Strategy (Weighted)
         // Priority: Struggling > New (if few) > Due > Random Review
         
         // If we have struggling items, 40% chance to pick one
-        if (strugglingItems.length > 0 && Math.random() < 0.4) {
-            return strugglingItems[Math.floor(Math.random() * strugglingItems.length)];
+        if (strugglingItems.length > 0 && rng() < 0.4) {
+            return SeededRandom.pick(rng, strugglingItems);
         }
 
         // If we have items never seen (new), 30% chance (limit new intake)
-        if (newItems.length > 0 && Math.random() < 0.3) {
+        if (newItems.length > 0 && rng() < 0.3) {
             return newItems[0]; // Pick the first new one (in order)
         }
 
-        // Pick due items
+        // Pick due items, weighted towards the ones most likely forgotten
         if (dueItems.length > 0) {
-            return dueItems[Math.floor(Math.random() * dueItems.length)];
+            const totalWeight = dueItems.reduce((sum, d) => sum + d.weight, 0);
+            let pick = rng() * totalWeight;
+            for (const d of dueItems) {
+                pick -= d.weight;
+                if (pick <= 0) return d.card;
+            }
+            return dueItems[dueItems.length - 1].card;
         }
 
         // Fallback: Pick any unlocked note (Review)
@@ -273,17 +564,19 @@ class SRSEngine {
         if (candidates.length > 0) {
              // Prefer higher indices (recently unlocked)
              // Simple random for now
-             return candidates[Math.floor(Math.random() * candidates.length)];
+             return SeededRandom.pick(rng, candidates);
         }
 
-        // Fallback (shouldn't happen)
-        return { clef, keySig, note: 'C', octave: 4, accidental: null, id: 'fallback' };
+        // Nothing seen yet in this pool (e.g. chromatic drills just switched on) - introduce the first new item
+        return newItems.length > 0 ? newItems[0] : null;
     }
 
-    recordResult(cardId, isCorrect, timeDelta) {
+    recordResult(card, isCorrect, timeDelta, mode) {
         const now = Date.now();
+        const cardId = card.id;
+        const clefState = this.getClefState(card.clef);
         if (!this.data.items[cardId]) {
-            this.data.items[cardId] = { level: 0, nextReview: 0, streak: 0 };
+            this.data.items[cardId] = MemoryScheduler.createItem();
             Logger.debug(`Created new item for ${cardId}`);
         }
 
@@ -295,23 +588,32 @@ class SRSEngine {
         }
         
         const oldStreak = item.streak;
-        this.data.stats.total++;
+        const wasReady = this.evaluateNote(item).ready;
+        clefState.stats.total++;
+
+        // Per-note attempt window for accuracy-based rules
+        if (!item.recentResults) item.recentResults = [];
+        item.recentResults.push(isCorrect);
+        if (item.recentResults.length > Math.max(50, this.rules.accuracyWindow)) {
+            item.recentResults.shift();
+        }
 
         // Track recent attempts for performance monitoring
-        this.data.recentAttempts.push(isCorrect);
+        clefState.recentAttempts.push(isCorrect);
         // Keep only last 50 attempts
-        if (this.data.recentAttempts.length > 50) {
-            this.data.recentAttempts.shift();
+        if (clefState.recentAttempts.length > 50) {
+            clefState.recentAttempts.shift();
         }
 
-        // Speed Threshold: 2500ms (2.5 seconds)
-        const isFast = timeDelta <= 2500;
+        // Speed Threshold: the learner's own percentile target for this note and input mode
+        const fastThreshold = this.getSpeedTarget(cardId, mode);
+        const isFast = timeDelta <= fastThreshold;
 
         let feedbackType = 'correct'; // correct, slow, wrong
 
         if (isCorrect) {
-            this.data.stats.streak++;
-            this.data.stats.correct++;
+            clefState.stats.streak++;
+            clefState.stats.correct++;
             
             // Increment per-note streak
             item.streak = (item.streak || 0) + 1;
@@ -320,32 +622,20 @@ class SRSEngine {
                 cardId,
                 oldStreak,
                 newStreak: item.streak,
-                requiredStreak: REQUIRED_STREAK_PER_NOTE,
+                requiredStreak: this.rules.requiredStreak,
                 timeDelta,
+                fastThreshold,
+                mode,
                 isFast,
-                progress: `${item.streak}/${REQUIRED_STREAK_PER_NOTE}`
+                progress: `${item.streak}/${this.rules.requiredStreak}`
             });
             
-            if (isFast) {
-                // Truly mastered this instance
-                const intervals = [1, 5, 30, 120, 720, 2880]; // Minutes
-                item.level = Math.min(item.level + 1, intervals.length - 1);
-                item.nextReview = now + (intervals[item.level] * 60 * 1000);
-                feedbackType = 'correct';
-            } else {
-                // Correct but slow - don't increase level, maybe decrease?
-                // Keep level same or cap at level 2 (don't push to long term until fast)
-                item.level = Math.max(0, Math.min(item.level, 2)); 
-                item.nextReview = now + (3 * 60 * 1000); // Review soon
-                feedbackType = 'slow';
-            }
+            // Slow answers are graded "hard" so they grow stability much less
+            feedbackType = isFast ? 'correct' : 'slow';
         } else {
-            this.data.stats.streak = 0;
+            clefState.stats.streak = 0;
             // Reset per-note streak on wrong answer
-            const wasReady = oldStreak >= REQUIRED_STREAK_PER_NOTE;
             item.streak = 0;
-            item.level = 0; 
-            item.nextReview = now + (1 * 60 * 1000); // Immediate review
             feedbackType = 'wrong';
             
             Logger.warn(`Wrong answer for ${cardId} - streak reset`, {
@@ -353,37 +643,60 @@ class SRSEngine {
                 oldStreak,
                 newStreak: 0,
                 wasReady,
-                requiredStreak: REQUIRED_STREAK_PER_NOTE
+                requiredStreak: this.rules.requiredStreak
             });
         }
 
-        this.saveData();
+        // Schedule the next review from correctness + response time
+        const grade = MemoryScheduler.gradeFromResponse(isCorrect, timeDelta, fastThreshold);
+        const reviewed = MemoryScheduler.review(item, grade, now);
+        this.data.items[cardId] = reviewed;
+
+        // Only correct answers describe reading speed; record after classifying so
+        // an answer never moves its own target
+        if (isCorrect) {
+            this.recordResponseTime(reviewed, mode, timeDelta);
+        }
+
+        Logger.debug(`Scheduled ${cardId}`, {
+            grade,
+            stabilityDays: reviewed.stability,
+            difficulty: reviewed.difficulty,
+            nextReviewInMinutes: Math.round((reviewed.nextReview - now) / 60000)
+        });
+
+        this.saveData([cardId]);
+        if (this.persistent) {
+            AttemptHistory.record({ t: now, id: cardId, clef: card.clef, correct: isCorrect, ms: timeDelta, mode });
+        }
         return feedbackType;
     }
 
-    getStats() {
-        // Calculate mastery % (items > level 2 / total unlocked)
-        const prog = PROGRESSION['treble']; // Get the array, not the length
-        const unlocked = this.data.unlockedCount;
+    getStats(clef = 'treble') {
+        // Calculate mastery % (notes ready under the progression rules / total unlocked)
+        const prog = PROGRESSION[clef] || PROGRESSION['treble']; // Get the array, not the length
+        const clefState = this.getClefState(clef);
+        const unlocked = clefState.unlockedCount;
         
-        // Count notes that have met streak requirement
+        // Count notes that satisfy the progression rules
         let notesReady = 0;
         for (let i = 0; i < unlocked && i < prog.length; i++) {
             const p = prog[i];
             if (!p) break; // Safety check - prevent accessing undefined
-            const id = this.getKey('treble', p.n, p.o);
+            const id = this.getKey(clef, p.n, p.o);
             const item = this.data.items[id];
-            if (item && (item.streak || 0) >= REQUIRED_STREAK_PER_NOTE) {
+            if (this.evaluateNote(item).ready) {
                 notesReady++;
             }
         }
         
         return {
+            clef,
             unlocked,
-            streak: this.data.stats.streak,
+            streak: clefState.stats.streak,
             totalNotes: prog.length,
             notesReady,
-            requiredStreak: REQUIRED_STREAK_PER_NOTE
+            rules: this.rules
         };
     }
 }
@@ -0,0 +1,441 @@
+/**
+ * STORAGE (AppStorage)
+ * IndexedDB persistence with versioned schema migrations
+ *
+ * Records live in three object stores:
+ *   kv       = { key: value } - per-profile keys are stored as `${profileId}:${key}`
+ *              (SRS progression, settings, pitch algorithm, calibration); GLOBAL_KEYS are shared
+ *   items    = SRS items, one record per profile + item key: { profile, id, item }
+ *   attempts = append-only attempt history, one record per answer (see AttemptHistory),
+ *              tagged with the profile that answered
+ *
+ * init() loads every kv record and the current profile's items into memory so callers read
+ * synchronously (get, getItems); set/remove/setItems/addAttempt update memory at once and write
+ * to IndexedDB in the background.
+ * get/set/remove always address the current profile unless the key is global.
+ * Without IndexedDB (private browsing, old browsers) the same API runs on localStorage.
+ */
+const STORAGE_DB_NAME = 'sightread';
+const DEFAULT_PROFILE_ID = 'default';
+
+const AppStorage = {
+    // Schema migrations - MIGRATIONS[n] upgrades a database from version n to n + 1.
+    // Append new steps; never edit a shipped one
+    MIGRATIONS: [
+        // v1: key/value records + attempt history
+        function(db) {
+            db.createObjectStore('kv');
+            const attempts = db.createObjectStore('attempts', { autoIncrement: true });
+            attempts.createIndex('t', 't');
+            attempts.createIndex('id', 'id');
+        },
+        // v2: learner profiles - everything saved so far belongs to the default profile
+        function(db, tx) {
+            const kv = tx.objectStore('kv');
+            kv.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (!AppStorage.GLOBAL_KEYS.includes(cursor.key) && !String(cursor.key).includes(':')) {
+                    kv.put(cursor.value, `${DEFAULT_PROFILE_ID}:${cursor.key}`);
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+
+            const attempts = tx.objectStore('attempts');
+            attempts.createIndex('profile', 'profile');
+            attempts.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                cursor.update({ ...cursor.value, profile: DEFAULT_PROFILE_ID });
+                cursor.continue();
+            };
+        },
+        // v3: SRS items move out of the 'srs' record into their own store, so an answer writes only its item
+        function(db, tx) {
+            const items = db.createObjectStore('items', { keyPath: ['profile', 'id'] });
+            items.createIndex('profile', 'profile');
+
+            const kv = tx.objectStore('kv');
+            kv.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                const [profile, key] = String(cursor.key).split(':');
+                if (key === 'srs' && cursor.value && cursor.value.items) {
+                    const { items: srsItems, ...progression } = cursor.value;
+                    Object.keys(srsItems).forEach(id => items.put({ profile, id, item: srsItems[id] }));
+                    cursor.update(progression);
+                }
+                cursor.continue();
+            };
+        }
+    ],
+
+    GLOBAL_KEYS: ['meta', 'profiles'],
+
+    // Where each key lived before IndexedDB (imported on first run, and used by the fallback backend).
+    // Profiles other than the default add `__${profileId}` in the fallback
+    LOCAL_STORAGE_KEYS: {
+        srs: 'sightread_srs_data_v4',
+        srsV3: 'sightread_srs_data_v3',
+        settings: 'sightread_settings_v2',
+        pitchAlgorithm: 'pitchDetectionAlgorithm',
+        calibration: 'sightread_calibration_v1',
+        profiles: 'sightread_profiles_v1'
+    },
+    LOCAL_STORAGE_ATTEMPTS_KEY: 'sightread_history_v1',
+    LOCAL_STORAGE_ITEMS_KEY: 'sightread_srs_items_v1',
+    LOCAL_STORAGE_MAX_ATTEMPTS: 20000, // Fallback only - oldest attempts are dropped first (localStorage quota)
+
+    db: null, // null = localStorage fallback
+    cache: {}, // Full keys (profile-scoped or global) -> values
+    items: {}, // SRS items of the current profile, by item key
+    attempts: [], // Attempts of the current profile
+    profileId: DEFAULT_PROFILE_ID,
+    ready: false,
+
+    init: async function() {
+        if (this.ready) return;
+        try {
+            if (typeof indexedDB === 'undefined') throw new Error('IndexedDB not available');
+            this.db = await this.open();
+            this.cache = await this.readAllKeys();
+            this.profileId = this.getProfiles().current;
+            if (!this.cache.meta || !this.cache.meta.importedLocalStorage) {
+                await this.importLocalStorage();
+            }
+            this.items = await this.readItems(this.profileId);
+            this.attempts = await this.readAttempts(this.profileId);
+            Logger.info('Storage ready (IndexedDB)', {
+                version: this.db.version,
+                profile: this.profileId,
+                keys: Object.keys(this.cache),
+                items: Object.keys(this.items).length,
+                attempts: this.attempts.length
+            });
+        } catch (e) {
+            Logger.warn('IndexedDB unavailable - using localStorage', { error: e.message });
+            this.db = null;
+            this.cache = {};
+            const profiles = this.parseLocal(localStorage.getItem(this.LOCAL_STORAGE_KEYS.profiles));
+            if (profiles) this.cache.profiles = profiles;
+            this.profileId = this.getProfiles().current;
+            this.loadLocalStorage();
+        }
+        this.ready = true;
+    },
+
+    open: function() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(STORAGE_DB_NAME, this.MIGRATIONS.length);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let v = event.oldVersion; v < this.MIGRATIONS.length; v++) {
+                    Logger.info(`Migrating storage schema v${v} -> v${v + 1}`);
+                    this.MIGRATIONS[v](db, request.transaction);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+        });
+    },
+
+    // Promise for an IDBRequest
+    promisify: function(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Oldest first (imported attempts can be stored after newer ones)
+    readAttempts: async function(profileId) {
+        const index = this.db.transaction('attempts').objectStore('attempts').index('profile');
+        const attempts = await this.promisify(index.getAll(profileId));
+        return attempts.sort((a, b) => a.t - b.t);
+    },
+
+    readItems: async function(profileId) {
+        const index = this.db.transaction('items').objectStore('items').index('profile');
+        const records = await this.promisify(index.getAll(profileId));
+        const items = {};
+        records.forEach(record => { items[record.id] = record.item; });
+        return items;
+    },
+
+    readAllKeys: async function() {
+        const store = this.db.transaction('kv').objectStore('kv');
+        const [keys, values] = await Promise.all([this.promisify(store.getAllKeys()), this.promisify(store.getAll())]);
+        const cache = {};
+        keys.forEach((key, i) => { cache[key] = values[i]; });
+        return cache;
+    },
+
+    // Background write - failures are logged, the in-memory value stays authoritative for this page
+    write: function(storeName, action) {
+        const tx = this.db.transaction(storeName, 'readwrite');
+        action(tx.objectStore(storeName));
+        tx.onerror = () => Logger.error(`Storage write failed (${storeName})`, { error: tx.error && tx.error.message });
+        return new Promise(resolve => {
+            tx.oncomplete = () => resolve(true);
+            tx.onabort = () => resolve(false);
+        });
+    },
+
+    // One-time copy of the pre-IndexedDB localStorage data into the current (default) profile.
+    // localStorage is left untouched
+    importLocalStorage: async function() {
+        const imported = [];
+        Object.keys(this.LOCAL_STORAGE_KEYS).forEach(key => {
+            const raw = localStorage.getItem(this.LOCAL_STORAGE_KEYS[key]);
+            const fullKey = this.scopedKey(key);
+            if (raw !== null && this.cache[fullKey] === undefined) {
+                this.cache[fullKey] = this.parseLocal(raw);
+                imported.push(fullKey);
+            }
+        });
+
+        const rawAttempts = localStorage.getItem(this.LOCAL_STORAGE_ATTEMPTS_KEY);
+        const attempts = (rawAttempts ? JSON.parse(rawAttempts) : []).map(a => ({ ...a, profile: this.profileId }));
+        this.cache.meta = { ...(this.cache.meta || {}), importedLocalStorage: Date.now() };
+
+        await this.write('kv', store => {
+            imported.forEach(key => store.put(this.cache[key], key));
+            store.put(this.cache.meta, 'meta');
+        });
+        if (attempts.length > 0) {
+            await this.write('attempts', store => attempts.forEach(a => store.add(a)));
+        }
+        Logger.info('Imported localStorage data into IndexedDB', { keys: imported, attempts: attempts.length });
+    },
+
+    // The pitch algorithm was stored as a bare string, everything else as JSON
+    parseLocal: function(raw) {
+        if (raw === null) return undefined;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return raw;
+        }
+    },
+
+    // Fallback backend: read the current profile's keys, items and attempts
+    loadLocalStorage: function() {
+        Object.keys(this.LOCAL_STORAGE_KEYS).forEach(key => {
+            const value = this.parseLocal(localStorage.getItem(this.localKey(key)));
+            if (value !== undefined) this.cache[this.scopedKey(key)] = value;
+        });
+        this.items = this.parseLocal(localStorage.getItem(this.localKey('items'))) || {};
+        const rawAttempts = localStorage.getItem(this.localKey('attempts'));
+        this.attempts = rawAttempts ? JSON.parse(rawAttempts) : [];
+    },
+
+    localKey: function(key, profileId = this.profileId) {
+        const base = key === 'attempts' ? this.LOCAL_STORAGE_ATTEMPTS_KEY
+            : key === 'items' ? this.LOCAL_STORAGE_ITEMS_KEY
+            : this.LOCAL_STORAGE_KEYS[key];
+        if (!base || this.GLOBAL_KEYS.includes(key) || profileId === DEFAULT_PROFILE_ID) return base;
+        return `${base}__${profileId}`;
+    },
+
+    saveLocal: function(lsKey, value) {
+        if (!lsKey) return;
+        try {
+            if (value === undefined) {
+                localStorage.removeItem(lsKey);
+            } else {
+                localStorage.setItem(lsKey, typeof value === 'string' ? value : JSON.stringify(value));
+            }
+        } catch (e) {
+            Logger.error('localStorage write failed', { key: lsKey, error: e.message });
+        }
+    },
+
+    scopedKey: function(key, profileId = this.profileId) {
+        return this.GLOBAL_KEYS.includes(key) ? key : `${profileId}:${key}`;
+    },
+
+    get: function(key) {
+        return this.cache[this.scopedKey(key)];
+    },
+
+    set: function(key, value) {
+        const fullKey = this.scopedKey(key);
+        this.cache[fullKey] = value;
+        if (this.db) {
+            this.write('kv', store => store.put(value, fullKey));
+        } else {
+            this.saveLocal(this.localKey(key), value);
+        }
+    },
+
+    remove: function(key) {
+        const fullKey = this.scopedKey(key);
+        delete this.cache[fullKey];
+        if (this.db) {
+            this.write('kv', store => store.delete(fullKey));
+        } else {
+            this.saveLocal(this.localKey(key), undefined);
+        }
+    },
+
+    getItems: function() {
+        return this.items;
+    },
+
+    // Writes only the given items ({ key: item }), one record each in a single transaction
+    setItems: function(changed) {
+        Object.assign(this.items, changed);
+        if (this.db) {
+            return this.write('items', store => {
+                Object.keys(changed).forEach(id => store.put({ profile: this.profileId, id, item: changed[id] }));
+            });
+        }
+        this.saveLocal(this.localKey('items'), this.items);
+        return Promise.resolve(true);
+    },
+
+    // The current profile's items become exactly `items`
+    replaceItems: function(items) {
+        this.items = {};
+        if (this.db) {
+            this.write('items', store => store.delete(this.itemRange(this.profileId)));
+        }
+        return this.setItems(items);
+    },
+
+    // Clears one profile's items (the current one by default)
+    clearItems: function(profileId = this.profileId) {
+        if (profileId === this.profileId) this.items = {};
+        if (!this.db) {
+            this.saveLocal(this.localKey('items', profileId), undefined);
+            return Promise.resolve(true);
+        }
+        return this.write('items', store => store.delete(this.itemRange(profileId)));
+    },
+
+    // Every [profileId, id] key - arrays sort after strings, so [profileId, []] is past every item key
+    itemRange: function(profileId) {
+        return IDBKeyRange.bound([profileId], [profileId, []]);
+    },
+
+    getAttempts: function() {
+        return this.attempts;
+    },
+
+    // Appends a single record - the history is never rewritten as a whole
+    addAttempt: function(record) {
+        const tagged = { ...record, profile: this.profileId };
+        this.attempts.push(tagged);
+        if (this.db) {
+            this.write('attempts', store => store.add(tagged));
+        } else {
+            if (this.attempts.length > this.LOCAL_STORAGE_MAX_ATTEMPTS) {
+                this.attempts.splice(0, this.attempts.length - this.LOCAL_STORAGE_MAX_ATTEMPTS);
+            }
+            this.saveLocal(this.localKey('attempts'), this.attempts);
+        }
+    },
+
+    // Bulk append for imports - one transaction for all records
+    addAttempts: function(records) {
+        const tagged = records.map(record => ({ ...record, profile: this.profileId }));
+        this.attempts = this.attempts.concat(tagged).sort((a, b) => a.t - b.t);
+        if (this.db) {
+            return this.write('attempts', store => tagged.forEach(record => store.add(record)));
+        }
+        if (this.attempts.length > this.LOCAL_STORAGE_MAX_ATTEMPTS) {
+            this.attempts.splice(0, this.attempts.length - this.LOCAL_STORAGE_MAX_ATTEMPTS);
+        }
+        this.saveLocal(this.localKey('attempts'), this.attempts);
+        return Promise.resolve(true);
+    },
+
+    replaceAttempts: async function(records) {
+        await this.clearAttempts();
+        await this.addAttempts(records);
+    },
+
+    // Clears one profile's attempts (the current one by default)
+    clearAttempts: function(profileId = this.profileId) {
+        if (profileId === this.profileId) this.attempts = [];
+        if (!this.db) {
+            this.saveLocal(this.localKey('attempts', profileId), undefined);
+            return Promise.resolve(true);
+        }
+        return this.write('attempts', store => {
+            store.index('profile').openCursor(IDBKeyRange.only(profileId)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    },
+
+    /**
+     * PROFILES
+     * { current, list: [{ id, name, created }] } under the global 'profiles' key
+     */
+    getProfiles: function() {
+        return this.cache.profiles || {
+            current: DEFAULT_PROFILE_ID,
+            list: [{ id: DEFAULT_PROFILE_ID, name: 'Default', created: 0 }]
+        };
+    },
+
+    getCurrentProfile: function() {
+        const profiles = this.getProfiles();
+        return profiles.list.find(p => p.id === this.profileId) || profiles.list[0];
+    },
+
+    createProfile: function(name) {
+        const profiles = this.getProfiles();
+        const profile = { id: `p${Date.now().toString(36)}`, name, created: Date.now() };
+        this.set('profiles', { ...profiles, list: [...profiles.list, profile] });
+        Logger.info('Profile created', profile);
+        return profile;
+    },
+
+    renameProfile: function(id, name) {
+        const profiles = this.getProfiles();
+        this.set('profiles', { ...profiles, list: profiles.list.map(p => p.id === id ? { ...p, name } : p) });
+    },
+
+    // Makes `id` current and loads its attempts; kv values are already cached (or read from localStorage)
+    switchProfile: async function(id) {
+        const profiles = this.getProfiles();
+        if (!profiles.list.some(p => p.id === id)) throw new Error(`Unknown profile: ${id}`);
+        this.profileId = id;
+        this.set('profiles', { ...profiles, current: id });
+        if (this.db) {
+            this.items = await this.readItems(id);
+            this.attempts = await this.readAttempts(id);
+        } else {
+            this.loadLocalStorage();
+        }
+        Logger.info('Profile switched', { profile: id, attempts: this.attempts.length });
+    },
+
+    // Deletes a profile other than the current one, with everything saved for it
+    deleteProfile: async function(id) {
+        const profiles = this.getProfiles();
+        if (id === this.profileId) throw new Error('Cannot delete the current profile');
+        this.set('profiles', { ...profiles, list: profiles.list.filter(p => p.id !== id) });
+
+        const prefix = `${id}:`;
+        const keys = Object.keys(this.cache).filter(k => k.startsWith(prefix));
+        keys.forEach(k => delete this.cache[k]);
+        if (this.db) {
+            await this.write('kv', store => keys.forEach(k => store.delete(k)));
+        } else {
+            Object.keys(this.LOCAL_STORAGE_KEYS)
+                .filter(key => !this.GLOBAL_KEYS.includes(key))
+                .forEach(key => this.saveLocal(this.localKey(key, id), undefined));
+        }
+        await this.clearItems(id);
+        await this.clearAttempts(id);
+        Logger.info('Profile deleted', { profile: id });
+    }
+};
@@ -0,0 +1,93 @@
+/**
+ * NoteTracker on scripted frame sequences - one frame per worker hop (~21 ms)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const NoteTracker = require('../note-tracker.js');
+
+const HOP_MS = 1024 / 48000 * 1000;
+const A2 = 110;
+const D3 = 146.83;
+
+// Runs frames ({ frequency, rms }) through a tracker, timed one hop apart from 0
+function track(frames) {
+    const notes = [];
+    const ended = [];
+    const tracker = NoteTracker.create({ onNote: e => notes.push(e), onNoteEnd: e => ended.push(e) });
+    frames.forEach((frame, i) => tracker.push({ clarity: 0.95, ...frame, time: i * HOP_MS }));
+    return { notes, ended, tracker, end: frames.length * HOP_MS };
+}
+
+const silence = count => Array.from({ length: count }, () => ({ frequency: -1, rms: 0.001 }));
+
+// A plucked note: sharp attack, then exponential decay over `count` frames
+const pluck = (frequency, count, peak = 0.3, decay = 0.93) =>
+    Array.from({ length: count }, (_, i) => ({ frequency, rms: peak * Math.pow(decay, i) }));
+
+test('silence produces no notes', () => {
+    const { notes, ended } = track(silence(50));
+    assert.strictEqual(notes.length, 0);
+    assert.strictEqual(ended.length, 0);
+});
+
+test('a ringing string is one note, timed from its attack', () => {
+    const { notes, ended } = track([...silence(5), ...pluck(A2, 60)]);
+    assert.strictEqual(notes.length, 1);
+    assert.strictEqual(NoteTracker.frequencyToMidi(notes[0].frequency), 45);
+    assert.strictEqual(notes[0].time, 5 * HOP_MS);
+
+    // Ends once it decays under RELEASE_RATIO of its peak: 0.93^n < 0.1 from n = 32
+    assert.strictEqual(ended.length, 1);
+    assert.strictEqual(ended[0], notes[0]);
+    assert.ok(Math.abs(ended[0].duration - 32 * HOP_MS) < 1e-6, `duration ${ended[0].duration}`);
+});
+
+test('the onset event carries a provisional duration of 0', () => {
+    const durations = [];
+    const tracker = NoteTracker.create({ onNote: e => durations.push(e.duration) });
+    [...silence(5), ...pluck(A2, 10)].forEach((frame, i) => tracker.push({ ...frame, time: i * HOP_MS }));
+    assert.deepStrictEqual(durations, [0]);
+});
+
+test('re-picking the same note is a new note', () => {
+    const { notes, ended } = track([...silence(5), ...pluck(A2, 15), ...pluck(A2, 15), ...silence(5)]);
+    assert.strictEqual(notes.length, 2);
+    assert.deepStrictEqual(notes.map(n => n.time), [5 * HOP_MS, 20 * HOP_MS]);
+    assert.ok(Math.abs(ended[0].duration - 15 * HOP_MS) < 1e-6); // Cut short by the second attack
+});
+
+test('a legato change of pitch is a new note without an attack', () => {
+    const sustained = (frequency, count) => Array.from({ length: count }, () => ({ frequency, rms: 0.2 }));
+    const { notes, ended } = track([...silence(5), ...pluck(A2, 1), ...sustained(A2, 14), ...sustained(D3, 15)]);
+
+    assert.strictEqual(notes.length, 2);
+    assert.strictEqual(NoteTracker.frequencyToMidi(notes[1].frequency), 50);
+    assert.strictEqual(notes[1].time, 20 * HOP_MS); // First frame of the new pitch
+    assert.ok(Math.abs(ended[0].duration - 15 * HOP_MS) < 1e-6);
+});
+
+test('an attack without a steady pitch is dropped', () => {
+    const noisy = Array.from({ length: 15 }, (_, i) => ({ frequency: 100 + i * 37, rms: 0.2 }));
+    assert.strictEqual(track([...silence(5), ...noisy]).notes.length, 0);
+});
+
+test('pendingTime is the attack until its pitch is confirmed', () => {
+    const tracker = NoteTracker.create();
+    silence(5).forEach((frame, i) => tracker.push({ ...frame, time: i * HOP_MS }));
+    assert.strictEqual(tracker.pendingTime(), null);
+
+    const attack = 5 * HOP_MS;
+    tracker.push({ frequency: A2, rms: 0.3, time: attack });
+    assert.strictEqual(tracker.pendingTime(), attack);
+    tracker.push({ frequency: A2, rms: 0.28, time: attack + HOP_MS });
+    tracker.push({ frequency: A2, rms: 0.26, time: attack + 2 * HOP_MS });
+    assert.strictEqual(tracker.pendingTime(), null);
+});
+
+test('flush ends the sounding note with its duration', () => {
+    const { notes, ended, tracker, end } = track([...silence(5), ...pluck(A2, 10, 0.3, 0.99)]);
+    assert.strictEqual(ended.length, 0);
+    tracker.flush(end);
+    assert.strictEqual(ended.length, 1);
+    assert.strictEqual(ended[0].duration, end - notes[0].time);
+});
@@ -0,0 +1,64 @@
+/**
+ * PitchDetector.analyzeBuffer on synthetic frames - same frame size as the live analysis
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.Logger = require('../logger.js');
+global.AudioInput = require('../audio-input.js');
+const PitchDetector = require('../pitch-detector.js');
+
+const FRAME_SIZE = AudioInput.FFT_SIZE / 2;
+
+// Sum of harmonics 1..amplitudes.length with the given amplitudes
+function tone(frequency, sampleRate, amplitudes = [1]) {
+    const frame = new Float32Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) {
+        amplitudes.forEach((amplitude, n) => {
+            frame[i] += 0.3 * amplitude * Math.sin(2 * Math.PI * frequency * (n + 1) * i / sampleRate);
+        });
+    }
+    return frame;
+}
+
+function midi(frequency) {
+    return Math.round(69 + 12 * Math.log2(frequency / 440));
+}
+
+// Low E to the top of the treble 8va stage
+const NOTES = { E2: 82.41, A2: 110, E4: 329.63, A4: 440, C5: 523.25, F5: 698.46, A5: 880, C6: 1046.5, G6: 1567.98, C7: 2093 };
+
+[44100, 48000].forEach(sampleRate => {
+    Object.entries(NOTES).forEach(([name, frequency]) => {
+        test(`${name} sine at ${sampleRate} Hz`, () => {
+            const result = PitchDetector.analyzeBuffer(tone(frequency, sampleRate), sampleRate);
+            assert.ok(Math.abs(result.frequency - frequency) / frequency < 0.01, `${name}: got ${result.frequency} Hz`);
+            assert.ok(result.clarity > 0.9);
+        });
+
+        // Guitar-like 1/n harmonics, and a fundamental mostly lost to a small mic
+        [['harmonic-rich', [1, 1 / 2, 1 / 3, 1 / 4, 1 / 5, 1 / 6]], ['weak fundamental', [0.15, 1, 0.6, 0.4]]]
+            .forEach(([kind, amplitudes]) => {
+                test(`${name} ${kind} at ${sampleRate} Hz is neither an octave high nor low`, () => {
+                    const result = PitchDetector.analyzeBuffer(tone(frequency, sampleRate, amplitudes), sampleRate);
+                    assert.strictEqual(midi(result.frequency), midi(frequency), `${name}: got ${result.frequency} Hz`);
+                });
+            });
+    });
+});
+
+test('silence is unpitched', () => {
+    const result = PitchDetector.analyzeBuffer(new Float32Array(FRAME_SIZE), 44100);
+    assert.strictEqual(result.frequency, -1);
+    assert.strictEqual(result.rms, 0);
+});
+
+test('frames below MIN_RMS are unpitched', () => {
+    const frame = tone(440, 44100).map(x => x * 0.01);
+    assert.strictEqual(PitchDetector.analyzeBuffer(frame, 44100).frequency, -1);
+});
+
+test('the default range covers every progression note', () => {
+    assert.ok(PitchDetector.MIN_FREQUENCY <= 32.7); // C1, bass 8vb
+    assert.ok(PitchDetector.MAX_FREQUENCY >= 2093); // C7, treble 8va
+});
@@ -0,0 +1,105 @@
+/**
+ * MemoryScheduler - every call gets an explicit `now`, so the clock is just a number here
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const MemoryScheduler = require('../scheduler.js');
+
+const { GRADES, MINUTE_MS, DAY_MS } = MemoryScheduler;
+const START = Date.UTC(2024, 0, 1);
+
+// Reviews an item with each grade in turn, each at the moment it comes due
+function reviewAtDue(grades, item = null, now = START) {
+    grades.forEach(grade => {
+        item = MemoryScheduler.review(item, grade, now);
+        now = item.nextReview;
+    });
+    return item;
+}
+
+test('a new item has no recall and is not due', () => {
+    const item = MemoryScheduler.createItem();
+    assert.strictEqual(MemoryScheduler.retrievability(item, START), 0);
+    assert.strictEqual(MemoryScheduler.isDue(null, START), false);
+});
+
+test('retrievability is the target retention once the stability has elapsed', () => {
+    const item = { ...MemoryScheduler.createItem(), reps: 1, stability: 2, lastReview: START };
+    assert.strictEqual(MemoryScheduler.retrievability(item, START), 1);
+    assert.ok(Math.abs(MemoryScheduler.retrievability(item, START + 2 * DAY_MS) - 0.9) < 1e-9);
+    assert.ok(MemoryScheduler.retrievability(item, START + 4 * DAY_MS) < 0.9);
+});
+
+test('first review stabilities follow the drill ladder', () => {
+    assert.strictEqual(MemoryScheduler.review(null, GRADES.good, START).stability, 30 * MINUTE_MS / DAY_MS);
+    assert.strictEqual(MemoryScheduler.review(null, GRADES.easy, START).stability, 120 * MINUTE_MS / DAY_MS);
+});
+
+test('review never mutates the item it is given', () => {
+    const item = reviewAtDue([GRADES.good]);
+    const copy = { ...item };
+    MemoryScheduler.review(item, GRADES.again, item.nextReview);
+    assert.deepStrictEqual(item, copy);
+});
+
+test('intervals grow with each good answer, faster with easy ones', () => {
+    let item = MemoryScheduler.review(null, GRADES.good, START);
+    let now = item.nextReview;
+    let interval = item.nextReview - item.lastReview;
+    for (let i = 0; i < 4; i++) {
+        item = MemoryScheduler.review(item, GRADES.good, now);
+        const next = item.nextReview - item.lastReview;
+        assert.ok(next > interval, `review ${i + 2}: ${next} ms should exceed ${interval} ms`);
+        interval = next;
+        now = item.nextReview;
+    }
+
+    const base = reviewAtDue([GRADES.good, GRADES.good]);
+    const good = MemoryScheduler.review(base, GRADES.good, base.nextReview);
+    const easy = MemoryScheduler.review(base, GRADES.easy, base.nextReview);
+    const hard = MemoryScheduler.review(base, GRADES.hard, base.nextReview);
+    assert.ok(easy.stability > good.stability);
+    assert.ok(good.stability > hard.stability);
+});
+
+test('a lapse comes due at the relearning step', () => {
+    const learned = reviewAtDue([GRADES.good, GRADES.good, GRADES.easy]);
+    const now = learned.nextReview;
+    const lapsed = MemoryScheduler.review(learned, GRADES.again, now);
+
+    assert.strictEqual(lapsed.lapses, 1);
+    assert.strictEqual(lapsed.nextReview, now + MemoryScheduler.relearnStepMs);
+    assert.ok(lapsed.stability <= learned.stability);
+    assert.strictEqual(MemoryScheduler.isDue(lapsed, now + MemoryScheduler.relearnStepMs - 1), false);
+    assert.strictEqual(MemoryScheduler.isDue(lapsed, now + MemoryScheduler.relearnStepMs), true);
+});
+
+test('a reviewed item is not due before its interval and is due after it', () => {
+    const item = reviewAtDue([GRADES.good, GRADES.good]);
+    assert.strictEqual(MemoryScheduler.isDue(item, item.lastReview + 1), false);
+    assert.strictEqual(MemoryScheduler.isDue(item, item.nextReview), true);
+});
+
+test('legacy ladder items keep their schedule', () => {
+    const nextReview = START + 60 * MINUTE_MS;
+    const item = MemoryScheduler.migrateLegacyItem({ level: 3, nextReview, streak: 2 }, START);
+
+    assert.strictEqual(item.stability, 120 * MINUTE_MS / DAY_MS); // Level 3 = the 120 minute step
+    assert.strictEqual(item.reps, 3);
+    assert.strictEqual(item.lapses, 0);
+    assert.strictEqual(item.streak, 2);
+    assert.strictEqual(item.nextReview, nextReview);
+    assert.strictEqual(item.lastReview, nextReview - 120 * MINUTE_MS);
+    assert.strictEqual(MemoryScheduler.isDue(item, nextReview - 1), false);
+    assert.strictEqual(MemoryScheduler.isDue(item, nextReview), true);
+});
+
+test('legacy level 0 items migrate as lapsed, missing fields default to now', () => {
+    const item = MemoryScheduler.migrateLegacyItem({}, START);
+    assert.strictEqual(item.lapses, 1);
+    assert.strictEqual(item.reps, 1);
+    assert.strictEqual(item.streak, 0);
+    assert.strictEqual(item.nextReview, START);
+    assert.strictEqual(item.lastReview, START - MINUTE_MS);
+    assert.strictEqual(MemoryScheduler.isDue(item, START), true);
+});
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+/**
+ * PITCH DETECTION BENCHMARK
+ * Feeds WAV fixtures through every PitchDetectorAdapter algorithm frame by frame, the way the app
+ * frames them live - 2048-sample frames every AudioInput.ANALYSIS_HOP samples for autocorrelation
+ * (AudioWorklet + worker), one per display refresh for the library algorithms (requestAnimationFrame) -
+ * and reports per note:
+ *   accuracy      = frames naming the expected note and octave / frames with signal
+ *   octave errors = frames naming the right note in the wrong octave / frames with signal
+ *   latency       = ms from the first frame with signal to the end of the first correct frame
+ *   CPU           = detector time per frame
+ *
+ * Fixtures hold one note each and are named after it: E2.wav, A2-open.wav, F#3_take2.wav, Bb3.wav
+ *
+ * Usage: node tools/pitch-benchmark.js [dir ...] [--synth] [--hop samples] [--algorithms autocorrelation,pitchy] [--json out.json]
+ *   Without dirs, reads fixtures/pitch/ (committed) and fixtures/pitch/synth/ (generated when missing)
+ *   --synth (re)generates the synthesized plucked-string fixtures in fixtures/pitch/synth/ first
+ *   --hop frames every algorithm every that many samples instead
+ *   --weak-fundamental (re)generates the committed fixtures in fixtures/pitch/ (see its README)
+ */
+const fs = require('fs');
+const path = require('path');
+const { readWav, writeWav } = require('./wav');
+
+global.Logger = require('../logger.js');
+global.AudioInput = require('../audio-input.js');
+global.PitchDetector = require('../pitch-detector.js');
+const SeededRandom = require('../random.js');
+const PitchDetectorAdapter = require('../pitch-detector-adapter.js');
+
+const FRAME_SIZE = AudioInput.FFT_SIZE / 2; // analyser.frequencyBinCount
+const FRAMES_PER_SECOND = 60; // requestAnimationFrame - library algorithms
+const WORKER_ALGORITHMS = ['autocorrelation']; // Analyzed every ANALYSIS_HOP samples in pitch-worker.js
+const SIGNAL_RMS = 0.01; // Quieter frames are not scored (silence before/after the note)
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'pitch');
+const SYNTH_DIR = path.join(FIXTURES_DIR, 'synth');
+
+const LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Standard tuning open strings plus fretted notes across the neck, and the treble ledger/8va stages up to C7
+const SYNTH_NOTES = ['E2', 'F2', 'A2', 'C3', 'D3', 'F#3', 'G3', 'A3', 'B3', 'C4', 'E4', 'G4',
+    'A4', 'C5', 'F5', 'A5', 'C6', 'G6', 'C7'];
+
+// Committed fixtures: the low strings with the fundamental rolled off, as small mics and speakers hear them
+const WEAK_FUNDAMENTAL_NOTES = ['E2', 'A2', 'D3'];
+const WEAK_FUNDAMENTAL_CUTOFF = 150; // Hz, above all three fundamentals
+
+function parseArgs(argv) {
+    const args = { dirs: [], synth: false, weakFundamental: false, hop: null, algorithms: null, json: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--synth') args.synth = true;
+        else if (argv[i] === '--weak-fundamental') args.weakFundamental = true;
+        else if (argv[i] === '--hop') args.hop = parseInt(argv[++i], 10);
+        else if (argv[i] === '--verbose') args.verbose = true;
+        else if (argv[i] === '--algorithms') args.algorithms = argv[++i].split(',');
+        else if (argv[i] === '--json') args.json = argv[++i];
+        else args.dirs.push(argv[i]);
+    }
+    return args;
+}
+
+// MIDI number of a fixture name like "F#3-open" (null when the name doesn't start with a note)
+function expectedMidi(fileName) {
+    const match = /^([A-G])(#|b)?(-?\d)/.exec(fileName);
+    if (!match) return null;
+    const accidental = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+    return (parseInt(match[3], 10) + 1) * 12 + LETTER_SEMITONES[match[1]] + accidental;
+}
+
+function frequencyToMidi(frequency) {
+    return Math.round(69 + 12 * Math.log2(frequency / 440));
+}
+
+function midiToFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+// Karplus-Strong plucked string: a noise burst in a delay line with a damped averaging filter.
+// Bright attack, harmonics that decay faster than the fundamental - close to a real guitar
+function synthesizePluck(frequency, sampleRate, seconds, rng) {
+    const samples = new Float32Array(Math.round(sampleRate * seconds));
+    const period = Math.round(sampleRate / frequency);
+    const delay = new Float32Array(period);
+    for (let i = 0; i < period; i++) delay[i] = rng() * 2 - 1;
+
+    const lead = Math.round(sampleRate * 0.1); // Silence before the attack
+    for (let i = lead, pos = 0; i < samples.length; i++, pos = (pos + 1) % period) {
+        const next = delay[(pos + 1) % period];
+        samples[i] = 0.5 * delay[pos] + 0.002 * (rng() * 2 - 1); // Plus a little noise floor
+        delay[pos] = 0.996 * 0.5 * (delay[pos] + next);
+    }
+    return samples;
+}
+
+function generateSynthFixtures(sampleRate = 44100) {
+    fs.mkdirSync(SYNTH_DIR, { recursive: true });
+    const rng = SeededRandom.create(0x5eed);
+    SYNTH_NOTES.forEach(note => {
+        const samples = synthesizePluck(midiToFrequency(expectedMidi(note)), sampleRate, 1.5, rng);
+        writeWav(path.join(SYNTH_DIR, `${note}-pluck.wav`), samples, sampleRate);
+    });
+    console.log(`Wrote ${SYNTH_NOTES.length} synthesized fixtures to ${path.relative(process.cwd(), SYNTH_DIR)}`);
+}
+
+// Two cascaded one-pole high-pass filters (12 dB/octave below the cutoff)
+function highPass(samples, cutoff, sampleRate) {
+    const a = 1 / (1 + 2 * Math.PI * cutoff / sampleRate);
+    for (let pass = 0; pass < 2; pass++) {
+        let prevIn = 0;
+        let prevOut = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            prevOut = a * (prevOut + x - prevIn);
+            prevIn = x;
+            samples[i] = prevOut;
+        }
+    }
+    return samples;
+}
+
+function generateWeakFundamentalFixtures(sampleRate = 44100) {
+    const rng = SeededRandom.create(0xe2);
+    WEAK_FUNDAMENTAL_NOTES.forEach(note => {
+        const samples = highPass(synthesizePluck(midiToFrequency(expectedMidi(note)), sampleRate, 1.0, rng), WEAK_FUNDAMENTAL_CUTOFF, sampleRate);
+        writeWav(path.join(FIXTURES_DIR, `${note}-weak-fundamental.wav`), samples, sampleRate);
+    });
+    console.log(`Wrote ${WEAK_FUNDAMENTAL_NOTES.length} weak-fundamental fixtures to ${path.relative(process.cwd(), FIXTURES_DIR)}`);
+}
+
+// Samples between frames for an algorithm as the app runs it (null = FRAMES_PER_SECOND)
+function frameHop(algorithm, args) {
+    if (args.hop) return args.hop;
+    return WORKER_ALGORITHMS.includes(algorithm) ? AudioInput.ANALYSIS_HOP : null;
+}
+
+function listFixtures(dirs) {
+    const fixtures = [];
+    dirs.forEach(dir => {
+        if (!fs.existsSync(dir)) return;
+        fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.wav')).sort().forEach(f => {
+            const midi = expectedMidi(f);
+            if (midi === null) {
+                console.warn(`Skipping ${f}: file name must start with the note (e.g. E2.wav)`);
+                return;
+            }
+            fixtures.push({ name: path.relative(process.cwd(), path.join(dir, f)), file: path.join(dir, f), midi });
+        });
+    });
+    return fixtures;
+}
+
+function rms(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+    return Math.sqrt(sum / frame.length);
+}
+
+function runFixture(detect, fixture, wav, hop) {
+    const result = { frames: 0, correct: 0, octaveErrors: 0, detected: 0, latencyMs: null, cpuMs: 0 };
+    let framesRun = 0;
+    let firstSignal = null;
+
+    AudioInput.forEachFrame(wav.samples, wav.sampleRate, (frame, sampleRate, time) => {
+        const t0 = process.hrtime.bigint();
+        const frequency = detect(frame);
+        result.cpuMs += Number(process.hrtime.bigint() - t0) / 1e6;
+        framesRun++;
+
+        if (rms(frame) < SIGNAL_RMS) return;
+        if (firstSignal === null) firstSignal = time;
+        result.frames++;
+        if (!(frequency > 0)) return;
+
+        result.detected++;
+        const error = frequencyToMidi(frequency) - fixture.midi;
+        if (error === 0) {
+            result.correct++;
+            if (result.latencyMs === null) {
+                result.latencyMs = (time + FRAME_SIZE / sampleRate - firstSignal) * 1000;
+            }
+        } else if (error % 12 === 0) {
+            result.octaveErrors++;
+        }
+    }, { frameSize: FRAME_SIZE, hop, framesPerSecond: FRAMES_PER_SECOND });
+
+    result.cpuUsPerFrame = result.cpuMs * 1000 / Math.max(1, framesRun);
+    return result;
+}
+
+function percent(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 1000) / 10 : 0;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function printReport(algorithms, fixtures, results) {
+    const cell = r => `${percent(r.correct, r.frames).toFixed(0).padStart(3)}% ${percent(r.octaveErrors, r.frames).toFixed(0).padStart(3)}% ${
+        r.latencyMs === null ? '   --' : String(Math.round(r.latencyMs)).padStart(5)}`;
+    const nameWidth = Math.max(8, ...fixtures.map(f => f.name.length));
+    const colWidth = 17;
+
+    console.log('\nPer note: accuracy / octave errors / ms to first correct frame\n');
+    console.log('fixture'.padEnd(nameWidth) + algorithms.map(a => ('  ' + a).padEnd(colWidth + 2)).join(''));
+    fixtures.forEach(f => {
+        console.log(f.name.padEnd(nameWidth) + algorithms.map(a => '  ' + cell(results[a][f.name]).padEnd(colWidth)).join(''));
+    });
+
+    console.log('\nOverall\n');
+    console.log('algorithm'.padEnd(22) + 'accuracy  octave err  median latency  missed notes  CPU/frame');
+    algorithms.forEach(a => {
+        const rows = Object.values(results[a]);
+        const frames = rows.reduce((s, r) => s + r.frames, 0);
+        const correct = rows.reduce((s, r) => s + r.correct, 0);
+        const octave = rows.reduce((s, r) => s + r.octaveErrors, 0);
+        const latencies = rows.filter(r => r.latencyMs !== null).map(r => r.latencyMs);
+        const missed = rows.filter(r => r.latencyMs === null).length;
+        const cpu = rows.reduce((s, r) => s + r.cpuUsPerFrame, 0) / rows.length;
+        const latency = median(latencies);
+        console.log(a.padEnd(22) +
+            `${percent(correct, frames).toFixed(1)}%`.padStart(8) +
+            `${percent(octave, frames).toFixed(1)}%`.padStart(12) +
+            (latency === null ? '--' : `${Math.round(latency)} ms`).padStart(16) +
+            `${missed}/${rows.length}`.padStart(14) +
+            `${Math.round(cpu)} us`.padStart(11));
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.verbose) Logger.log = function() {}; // The detectors log to the console otherwise
+
+    if (args.weakFundamental) generateWeakFundamentalFixtures();
+    // The synthesized set isn't committed - make it on first run
+    if (args.synth || (args.dirs.length === 0 && !fs.existsSync(SYNTH_DIR))) generateSynthFixtures();
+    const dirs = args.dirs.length > 0 ? args.dirs : [FIXTURES_DIR, SYNTH_DIR];
+    const fixtures = listFixtures(dirs);
+    if (fixtures.length === 0) {
+        console.error(`No fixtures found in ${dirs.join(', ')}`);
+        process.exit(1);
+    }
+
+    await PitchDetectorAdapter.loadImplementations();
+    const available = Object.keys(PitchDetectorAdapter.implementations);
+    const algorithms = args.algorithms || available;
+    const unknown = algorithms.filter(a => !available.includes(a));
+    if (unknown.length > 0) {
+        console.error(`Unknown algorithms: ${unknown.join(', ')} (available: ${available.join(', ')})`);
+        process.exit(1);
+    }
+
+    const results = {};
+    algorithms.forEach(a => { results[a] = {}; });
+    fixtures.forEach(fixture => {
+        const wav = readWav(fixture.file);
+        algorithms.forEach(a => {
+            // A fresh detector per file so no state carries over between fixtures
+            const detect = PitchDetectorAdapter.createDetector(a, wav.sampleRate);
+            results[a][fixture.name] = runFixture(detect, fixture, wav, frameHop(a, args));
+        });
+    });
+
+    printReport(algorithms, fixtures, results);
+
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify({
+            date: new Date().toISOString(),
+            frameSize: FRAME_SIZE,
+            // Samples between frames per algorithm (null = FRAMES_PER_SECOND)
+            hops: Object.fromEntries(algorithms.map(a => [a, frameHop(a, args)])),
+            framesPerSecond: FRAMES_PER_SECOND,
+            fixtures: fixtures.map(f => ({ name: f.name, midi: f.midi })),
+            results
+        }, null, 2));
+        console.log(`\nWrote ${args.json}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
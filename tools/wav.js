@@ -0,0 +1,104 @@
+/**
+ * WAV FILES
+ * Minimal RIFF/WAVE reader and writer for the pitch benchmark fixtures
+ * read: PCM 8/16/24/32-bit and 32/64-bit float, any channel count (mixed down to mono)
+ * write: 16-bit PCM mono
+ */
+const fs = require('fs');
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Returns { sampleRate, samples: Float32Array in [-1, 1] }
+function readWav(filePath) {
+    const data = fs.readFileSync(filePath);
+    if (data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error(`${filePath}: not a RIFF/WAVE file`);
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= data.length) {
+        const chunkId = data.toString('ascii', offset, offset + 4);
+        const chunkSize = data.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            let audioFormat = data.readUInt16LE(body);
+            if (audioFormat === WAV_FORMAT_EXTENSIBLE) {
+                audioFormat = data.readUInt16LE(body + 24); // First two bytes of the sub-format GUID
+            }
+            format = {
+                audioFormat,
+                channels: data.readUInt16LE(body + 2),
+                sampleRate: data.readUInt32LE(body + 4),
+                bitsPerSample: data.readUInt16LE(body + 14)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) throw new Error(`${filePath}: data chunk before fmt chunk`);
+            const end = Math.min(data.length, body + chunkSize);
+            return { sampleRate: format.sampleRate, samples: decodeSamples(data, body, end, format, filePath) };
+        }
+        offset = body + chunkSize + (chunkSize % 2); // Chunks are word-aligned
+    }
+    throw new Error(`${filePath}: no data chunk`);
+}
+
+function decodeSamples(data, start, end, format, filePath) {
+    const bytes = format.bitsPerSample / 8;
+    const frameBytes = bytes * format.channels;
+    const frames = Math.floor((end - start) / frameBytes);
+    const samples = new Float32Array(frames);
+
+    let read;
+    if (format.audioFormat === WAV_FORMAT_FLOAT && bytes === 4) {
+        read = pos => data.readFloatLE(pos);
+    } else if (format.audioFormat === WAV_FORMAT_FLOAT && bytes === 8) {
+        read = pos => data.readDoubleLE(pos);
+    } else if (format.audioFormat === WAV_FORMAT_PCM && bytes === 1) {
+        read = pos => (data.readUInt8(pos) - 128) / 128;
+    } else if (format.audioFormat === WAV_FORMAT_PCM && bytes === 2) {
+        read = pos => data.readInt16LE(pos) / 32768;
+    } else if (format.audioFormat === WAV_FORMAT_PCM && bytes === 3) {
+        read = pos => data.readIntLE(pos, 3) / 8388608;
+    } else if (format.audioFormat === WAV_FORMAT_PCM && bytes === 4) {
+        read = pos => data.readInt32LE(pos) / 2147483648;
+    } else {
+        throw new Error(`${filePath}: unsupported format ${format.audioFormat} (${format.bitsPerSample}-bit)`);
+    }
+
+    for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < format.channels; c++) {
+            sum += read(start + i * frameBytes + c * bytes);
+        }
+        samples[i] = sum / format.channels;
+    }
+    return samples;
+}
+
+function writeWav(filePath, samples, sampleRate) {
+    const dataBytes = samples.length * 2;
+    const buffer = Buffer.alloc(44 + dataBytes);
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataBytes, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(WAV_FORMAT_PCM, 20);
+    buffer.writeUInt16LE(1, 22); // Mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+    buffer.writeUInt16LE(2, 32); // Block align
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataBytes, 40);
+    for (let i = 0; i < samples.length; i++) {
+        const clamped = Math.max(-1, Math.min(1, samples[i]));
+        buffer.writeInt16LE(Math.round(clamped * 32767), 44 + i * 2);
+    }
+    fs.writeFileSync(filePath, buffer);
+}
+
+module.exports = { readWav, writeWav };